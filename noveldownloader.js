@@ -1,11 +1,24 @@
+/**
+ * Fetches a chapter page and extracts its title and content using the matching site adapter.
+ * On success the result holds the chapter `document` model and its plain text rendering as `content`.
+ * @param {string} url - The URL of the chapter page.
+ * @returns {Promise<object>} A result object whose `status` is 'success', 'captcha', 'network_error', 'no_content_found' or 'fetch_error'.
+ * Results for pages that were read also carry the page size in `bytes`.
+ */
 async function fetchNovelContent(url) {
     console.log("[fetchNovelContent] Starting", url);
+    const adapter = findSiteAdapter(url);
+    if (!adapter) {
+        console.error(`[fetchNovelContent] No site adapter matches: ${url}`);
+        return { status: 'fetch_error', url: url, message: 'Unsupported site' };
+    }
+
     try {
         const response = await fetch(url);
 
-        // Handle 403 (CAPTCHA) specifically by returning a 'captcha' status
-        if (response.status === 403) {
-            console.warn(`[fetchNovelContent] CAPTCHA (403) detected: ${url}`);
+        // Handle block pages (e.g. 403 CAPTCHA) specifically by returning a 'captcha' status
+        if (adapter.isBlockedPage(response, null)) {
+            console.warn(`[fetchNovelContent] CAPTCHA (${response.status}) detected: ${url}`);
             return { status: 'captcha', url: url };
         }
 
@@ -14,70 +27,41 @@ async function fetchNovelContent(url) {
             console.error(
                 `Server error: Failed to fetch content from ${url}. Status: ${response.status}`,
             );
-            return { status: 'network_error', url: url, statusCode: response.status };
+            return {
+                status: 'network_error',
+                url: url,
+                statusCode: response.status,
+                retryAfterMs: parseRetryAfter(response.headers.get("Retry-After")),
+            };
         }
 
         const html = await response.text();
+        const bytes = new Blob([html]).size;
         const parser = new DOMParser();
         const doc = parser.parseFromString(html, "text/html");
 
-        // Attempt to find the episode title using multiple selectors
-        const titleSelectors = [
-            ".toon-title",
-            ".view-title",
-            "h1.title",
-            ".post-title",
-            ".entry-title",
-        ];
-
-        let titleElement = null;
-        for (const selector of titleSelectors) {
-            titleElement = doc.querySelector(selector);
-            if (titleElement) {
-                console.log(`[fetchNovelContent] Title selector found: ${selector}`);
-                break;
-            }
-        }
-
-        let episodeTitle = "Untitled Episode";
-        if (titleElement) {
-            episodeTitle =
-                titleElement.getAttribute("title") ||
-                titleElement.textContent.split("<br>")[0].trim() ||
-                "Untitled Episode";
-            console.log("[fetchNovelContent] Extracted title:", episodeTitle);
+        // Some sites serve their CAPTCHA wall with a 200 status
+        if (adapter.isBlockedPage(response, doc)) {
+            console.warn(`[fetchNovelContent] CAPTCHA page detected: ${url}`);
+            return { status: 'captcha', url: url };
         }
 
-        // Attempt to find the main content using multiple selectors
-        const contentSelectors = [
-            "#novel_content",
-            ".novel-content",
-            ".view-content",
-            ".entry-content",
-            ".post-content",
-        ];
+        const episodeTitle = adapter.extractChapterTitle(doc) || "Untitled Episode";
+        console.log("[fetchNovelContent] Extracted title:", episodeTitle);
 
-        let content = null;
-        for (const selector of contentSelectors) {
-            content = doc.querySelector(selector);
-            if (content) {
-                console.log(`[fetchNovelContent] Content selector found: ${selector}`);
-                break;
-            }
-        }
+        const content = adapter.extractChapterContent(doc);
 
         // If no content element is found, return a specific status
         if (!content) {
             console.error(`Content not found: ${url}`);
-            return { status: 'no_content_found', url: url };
+            return { status: 'no_content_found', url: url, bytes };
         }
 
-        // Clean and prepare the content
-        let cleanedContent = cleanText(content.innerHTML);
+        // Convert the content into the document model and its plain text rendering
+        const chapterDocument = buildChapterDocument(content);
         // Remove episode title from content if it's at the beginning
-        if (cleanedContent.startsWith(episodeTitle)) {
-            cleanedContent = cleanedContent.slice(episodeTitle.length).trim();
-        }
+        stripLeadingTitle(chapterDocument, episodeTitle);
+        const cleanedContent = renderDocumentAsText(chapterDocument);
 
         console.log(
             "[fetchNovelContent] Cleaned content (first 100 chars):",
@@ -89,6 +73,8 @@ async function fetchNovelContent(url) {
             status: 'success',
             episodeTitle: episodeTitle,
             content: cleanedContent,
+            document: chapterDocument,
+            bytes,
         };
     } catch (error) {
         // Catch any general fetch or parsing errors
@@ -98,67 +84,561 @@ async function fetchNovelContent(url) {
 }
 
 /**
- * Unescapes HTML entities in a given text string.
- * @param {string} text - The text containing HTML entities.
- * @returns {string} The text with HTML entities unescaped.
+ * Parses a Retry-After header value (delay in seconds or an HTTP date).
+ * @param {string|null} value - The header value.
+ * @returns {number|null} The delay in milliseconds, or null if absent or invalid.
+ */
+function parseRetryAfter(value) {
+    if (!value) {
+        return null;
+    }
+    if (/^\d+$/.test(value.trim())) {
+        return Number.parseInt(value, 10) * 1000;
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/** Default number of attempts per chapter, including the first one. */
+const DEFAULT_MAX_ATTEMPTS = 3;
+/** Base delay of the exponential retry backoff in milliseconds. */
+const RETRY_BASE_DELAY_MS = 2000;
+/** Longest time to wait before a single retry in milliseconds. */
+const RETRY_MAX_DELAY_MS = 120000;
+
+/**
+ * Checks whether a failed fetchNovelContent result is worth retrying.
+ * Timeouts, rate limiting, server errors and connection failures are transient;
+ * other client errors (e.g. 404) and missing content are not.
+ * @param {object} result - The result returned by fetchNovelContent.
+ * @returns {boolean} True if the chapter should be fetched again.
+ */
+function isTransientFailure(result) {
+    if (result.status === 'fetch_error') {
+        return result.message !== 'Unsupported site';
+    }
+    if (result.status === 'network_error') {
+        return result.statusCode === 408 || result.statusCode === 429 || result.statusCode >= 500;
+    }
+    return false;
+}
+
+/**
+ * Computes how long to wait before the next attempt: the server's Retry-After if given,
+ * otherwise exponential backoff with jitter.
+ * @param {number} attempt - The attempt that just failed (1-based).
+ * @param {number|null} retryAfterMs - Delay requested by the server, if any.
+ * @returns {number} The delay in milliseconds.
+ */
+function computeRetryDelay(attempt, retryAfterMs) {
+    if (retryAfterMs !== null && retryAfterMs !== undefined) {
+        return Math.min(retryAfterMs, RETRY_MAX_DELAY_MS);
+    }
+    const exponential = Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempt - 1), RETRY_MAX_DELAY_MS);
+    // "Equal jitter": keep half the delay, randomize the other half
+    return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+}
+
+/**
+ * Fetches a chapter, retrying transient failures with exponential backoff.
+ * @param {string} url - The URL of the chapter page.
+ * @param {number} maxAttempts - Maximum number of attempts, including the first one.
+ * @param {object} [hooks] - Optional callbacks.
+ * @param {function(): boolean} [hooks.isStopped] - Returns true to abort waiting (e.g. on cancellation).
+ * @param {function(object, number, number): void} [hooks.onRetry] - Called with the failed result,
+ * the failed attempt number and the delay before the next attempt.
+ * @param {function(): Promise<void>} [hooks.beforeAttempt] - Awaited after the backoff, before every attempt but the first
+ * (which the caller schedules itself), e.g. to take a rate limiter token.
+ * @returns {Promise<object>} The last fetchNovelContent result, with an added `attempts` count.
+ */
+async function fetchNovelContentWithRetry(url, maxAttempts, hooks = {}) {
+    let attempt = 0;
+    while (true) {
+        attempt++;
+        const result = await fetchNovelContent(url);
+        if (result.status === 'success' || attempt >= maxAttempts || !isTransientFailure(result)) {
+            return { ...result, attempts: attempt };
+        }
+
+        const delay = computeRetryDelay(attempt, result.retryAfterMs);
+        console.warn(`[fetchNovelContentWithRetry] Attempt ${attempt}/${maxAttempts} failed (${result.status}), retrying in ${delay}ms: ${url}`);
+        if (hooks.onRetry) hooks.onRetry(result, attempt, delay);
+
+        await waitUnlessStopped(delay, hooks.isStopped);
+        if (hooks.beforeAttempt && !(hooks.isStopped && hooks.isStopped())) {
+            await hooks.beforeAttempt();
+        }
+        if (hooks.isStopped && hooks.isStopped()) {
+            return { ...result, attempts: attempt };
+        }
+    }
+}
+
+/** File extensions for the image types chapters embed, by media type. */
+const IMAGE_EXTENSIONS = {
+    "image/jpeg": "jpg",
+    "image/png": "png",
+    "image/gif": "gif",
+    "image/webp": "webp",
+    "image/svg+xml": "svg",
+    "image/avif": "avif",
+};
+
+/**
+ * Fetches an illustration referenced by a chapter.
+ * @param {string} url - The absolute image URL.
+ * @returns {Promise<object>} `{status: 'success', data: ArrayBuffer, mediaType}`, or `{status: 'network_error', statusCode}`
+ * / `{status: 'fetch_error', message}` on failure.
+ */
+async function fetchChapterImage(url) {
+    try {
+        const response = await fetch(url);
+        if (!response.ok) {
+            console.error(`[fetchChapterImage] Failed to fetch ${url}. Status: ${response.status}`);
+            return { status: 'network_error', url, statusCode: response.status };
+        }
+        const blob = await response.blob();
+        const mediaType = (blob.type || response.headers.get("Content-Type") || "").split(";")[0].trim().toLowerCase();
+        if (!IMAGE_EXTENSIONS[mediaType]) {
+            return { status: 'fetch_error', url, message: `Unsupported image type "${mediaType || "unknown"}"` };
+        }
+        return { status: 'success', url, data: await blob.arrayBuffer(), mediaType };
+    } catch (error) {
+        console.error(`[fetchChapterImage] error: ${error.message}`);
+        return { status: 'fetch_error', url, message: error.message };
+    }
+}
+
+/**
+ * Builds the output path of an image from a hash of its bytes, so the same picture served
+ * from different URLs is stored once.
+ * @param {ArrayBuffer} data - The image bytes.
+ * @param {string} mediaType - The image media type.
+ * @returns {Promise<string>} The path, e.g. "images/3f2a9c0d1b7e4a55.jpg".
+ */
+async function getImageFileName(data, mediaType) {
+    const digest = await crypto.subtle.digest("SHA-256", data);
+    const hash = Array.from(new Uint8Array(digest).slice(0, 8), (byte) => byte.toString(16).padStart(2, "0")).join("");
+    return `images/${hash}.${IMAGE_EXTENSIONS[mediaType]}`;
+}
+
+/** Typography normalization modes offered in the download settings. */
+const TYPOGRAPHY_MODES = {
+    keep: "Keep typographic quotes and dashes",
+    ascii: "Convert quotes, dashes and ellipses to ASCII",
+};
+
+/** Replacements applied by the "ascii" typography mode. */
+const ASCII_TYPOGRAPHY_REPLACEMENTS = [
+    [/[\u2018\u2019\u201a\u201b\u2032]/g, "'"], // ‘ ’ ‚ ‛ ′
+    [/[\u201c\u201d\u201e\u201f\u2033]/g, '"'], // “ ” „ ‟ ″
+    [/[\u2010\u2011\u2012\u2013]/g, "-"], // hyphens and en dash
+    [/[\u2014\u2015]/g, "--"], // em dash and horizontal bar
+    [/\u2026/g, "..."], // …
+];
+
+/**
+ * Normalizes typographic characters according to the chosen mode.
+ * @param {string} text - The text to normalize.
+ * @param {string} mode - A key of TYPOGRAPHY_MODES; "keep" returns the text unchanged.
+ * @returns {string} The normalized text.
+ */
+function normalizeTypography(text, mode) {
+    if (mode !== "ascii") {
+        return text;
+    }
+    return ASCII_TYPOGRAPHY_REPLACEMENTS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+}
+
+/**
+ * @typedef {object} ChapterInline
+ * One run of paragraph content. `type` is "text" ({text}), "ruby" ({base, annotation, open, close}:
+ * the annotation and the optional <rp> fallback parentheses) or "image" ({src, alt}, plus `url` and `file`
+ * once the illustration has been downloaded).
+ * Text and ruby runs carry `marks`, a sorted subset of ["emphasis", "strong"].
+ */
+
+/**
+ * @typedef {object} ChapterBlock
+ * One block of a chapter. `type` is "paragraph" or "heading" (with `level` and `children`, an
+ * Array<ChapterInline>), or "sceneBreak" for an <hr>.
+ */
+
+/**
+ * @typedef {object} ChapterDocument
+ * The format-neutral chapter model built from the page DOM and rendered by the TXT, Markdown and
+ * HTML/EPUB writers.
+ * @property {Array<ChapterBlock>} blocks - The chapter blocks in reading order.
+ */
+
+/**
+ * Elements that end the current paragraph. <div> is not one of them: the text output has always
+ * joined the contents of adjacent divs, and line breaks inside them come from <br>, <p> or newlines in the source.
+ */
+const CHAPTER_BLOCK_TAGS = new Set([
+    "ADDRESS", "ARTICLE", "ASIDE", "BLOCKQUOTE", "DD", "DL", "DT", "FIGCAPTION", "FIGURE",
+    "FOOTER", "HEADER", "LI", "MAIN", "OL", "P", "PRE", "SECTION", "TABLE", "TD", "TH", "TR", "UL",
+]);
+
+/** Elements whose text is never part of the chapter. */
+const CHAPTER_IGNORED_TAGS = new Set(["SCRIPT", "STYLE", "NOSCRIPT", "TEMPLATE", "BUTTON", "SELECT", "TEXTAREA"]);
+
+/** Inline elements mapped to a mark. */
+const CHAPTER_MARK_TAGS = {
+    EM: "emphasis",
+    I: "emphasis",
+    CITE: "emphasis",
+    STRONG: "strong",
+    B: "strong",
+};
+
+/**
+ * Builds the chapter document model from the chapter content element.
+ * Paragraphs end at block elements, <br> and line breaks in the source text, which is how the
+ * plain text output has always been split.
+ * @param {Element} root - The chapter content element returned by the site adapter.
+ * @returns {ChapterDocument} The chapter document.
+ */
+function buildChapterDocument(root) {
+    const blocks = [];
+    let current = null;
+
+    const endBlock = () => {
+        if (current && current.children.some((inline) => inline.type === "image" || inlineToText(inline).trim())) {
+            blocks.push(current);
+        }
+        current = null;
+    };
+    const appendInline = (inline) => {
+        if (!current) {
+            current = { type: "paragraph", children: [] };
+        }
+        const previous = current.children[current.children.length - 1];
+        if (inline.type === "text" && previous?.type === "text" && previous.marks.join() === inline.marks.join()) {
+            previous.text += inline.text;
+        } else {
+            current.children.push(inline);
+        }
+    };
+    const appendText = (text, marks) => {
+        text.split("\n").forEach((line, index) => {
+            if (index > 0) {
+                endBlock();
+            }
+            if (line) {
+                appendInline({ type: "text", text: line, marks });
+            }
+        });
+    };
+
+    const walk = (node, marks) => {
+        if (node.nodeType === Node.TEXT_NODE) {
+            // DOMParser has already decoded every entity, so the text is used as it is
+            appendText(node.nodeValue.replace(/\r\n?/g, "\n"), marks);
+            return;
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE || CHAPTER_IGNORED_TAGS.has(node.tagName)) {
+            return;
+        }
+
+        const tag = node.tagName;
+        if (tag === "BR") {
+            endBlock();
+        } else if (tag === "HR") {
+            endBlock();
+            blocks.push({ type: "sceneBreak" });
+        } else if (tag === "IMG") {
+            // Lazy-loading pages keep the real source in data-src
+            const src = node.getAttribute("data-src") || node.getAttribute("src") || "";
+            appendInline({ type: "image", src, alt: node.getAttribute("alt") || "" });
+        } else if (tag === "RUBY") {
+            appendInline(buildRubyInline(node, marks));
+        } else if (/^H[1-6]$/.test(tag)) {
+            endBlock();
+            current = { type: "heading", level: Number(tag[1]), children: [] };
+            node.childNodes.forEach((child) => walk(child, marks));
+            endBlock();
+        } else if (CHAPTER_BLOCK_TAGS.has(tag)) {
+            endBlock();
+            node.childNodes.forEach((child) => walk(child, marks));
+            endBlock();
+        } else {
+            const mark = CHAPTER_MARK_TAGS[tag];
+            const childMarks = mark && !marks.includes(mark) ? [...marks, mark].sort() : marks;
+            node.childNodes.forEach((child) => walk(child, childMarks));
+        }
+    };
+
+    root.childNodes.forEach((child) => walk(child, []));
+    endBlock();
+    return { blocks };
+}
+
+/**
+ * Reads a <ruby> element into a ruby run.
+ * @param {Element} ruby - The ruby element.
+ * @param {Array<string>} marks - The marks in effect.
+ * @returns {ChapterInline} The ruby run.
+ */
+function buildRubyInline(ruby, marks) {
+    let base = "";
+    let annotation = "";
+    const fallback = [];
+    for (const child of ruby.childNodes) {
+        if (child.nodeName === "RT") {
+            annotation += child.textContent;
+        } else if (child.nodeName === "RP") {
+            fallback.push(child.textContent);
+        } else if (child.nodeType === Node.TEXT_NODE || child.nodeType === Node.ELEMENT_NODE) {
+            base += child.textContent;
+        }
+    }
+    return {
+        type: "ruby",
+        base,
+        annotation,
+        open: fallback[0] || "",
+        close: fallback[1] || "",
+        marks,
+    };
+}
+
+/**
+ * Builds a chapter document from plain text, for chapters that only exist as text
+ * (restored from an original TXT/ZIP download or stored by an older version).
+ * @param {string} text - Plain chapter text with paragraphs separated by blank lines.
+ * @returns {ChapterDocument} The chapter document.
  */
-function unescapeHTML(text) {
-    const entities = {
-        "&lt;": "<",
-        "&gt;": ">",
-        "&amp;": "&",
-        "&quot;": '"',
-        "&apos;": "'",
-        "&nbsp;": " ",
-        "&ndash;": "-",
-        "&mdash;": "--",
-        "&lsquo;": "'",
-        "&rsquo;": "'",
-        "&ldquo;": '"',
-        "&rdquo;": '"',
+function textToChapterDocument(text) {
+    return {
+        blocks: text
+            .split(/\n{2,}/)
+            .map((paragraph) => paragraph.trim())
+            .filter((paragraph) => paragraph.length > 0)
+            .map((paragraph) => ({ type: "paragraph", children: [{ type: "text", text: paragraph, marks: [] }] })),
     };
+}
+
+/**
+ * Returns the document model of a chapter, falling back to its plain text.
+ * @param {{document: (ChapterDocument|undefined), content: string}} chapter - A downloaded chapter.
+ * @returns {ChapterDocument} The chapter document.
+ */
+function getChapterDocument(chapter) {
+    return chapter.document || textToChapterDocument(chapter.content);
+}
 
-    let result = text;
-    for (const [entity, replacement] of Object.entries(entities)) {
-        const regex = new RegExp(entity, "g");
-        result = result.replace(regex, replacement);
+/**
+ * Applies a typography normalization mode to a downloaded chapter: its title, every text run of
+ * its document and its plain text rendering.
+ * @param {{episodeTitle: string, content: string, document: ChapterDocument}} chapter - The chapter; modified in place.
+ * @param {string} mode - A key of TYPOGRAPHY_MODES.
+ */
+function normalizeChapterTypography(chapter, mode) {
+    if (mode === "keep") {
+        return;
     }
+    chapter.episodeTitle = normalizeTypography(chapter.episodeTitle, mode);
+    for (const block of chapter.document.blocks) {
+        for (const inline of block.children || []) {
+            if (inline.type === "text") {
+                inline.text = normalizeTypography(inline.text, mode);
+            } else if (inline.type === "ruby") {
+                inline.base = normalizeTypography(inline.base, mode);
+                inline.annotation = normalizeTypography(inline.annotation, mode);
+            }
+        }
+    }
+    chapter.content = renderDocumentAsText(chapter.document);
+}
 
-    return result;
+/**
+ * Removes the chapter title when the chapter text starts with it (most sites repeat it in the body).
+ * @param {ChapterDocument} chapterDocument - The chapter document; modified in place.
+ * @param {string} episodeTitle - The chapter title.
+ */
+function stripLeadingTitle(chapterDocument, episodeTitle) {
+    const first = chapterDocument.blocks[0];
+    if (!first || first.type === "sceneBreak" || !renderInlinesAsText(first.children).startsWith(episodeTitle)) {
+        return;
+    }
+
+    // Leading whitespace is not part of the text the title was compared against
+    while (first.children[0]?.type === "text" && !first.children[0].text.trim()) {
+        first.children.shift();
+    }
+    if (first.children[0]?.type === "text") {
+        first.children[0].text = first.children[0].text.trimStart();
+    }
+
+    // The title was matched against the line with runs of spaces collapsed (see renderInlinesAsText),
+    // so a space that follows another space in the raw text does not count towards its length
+    let remaining = episodeTitle.length;
+    let previousChar = "";
+    while (remaining > 0 && first.children[0]?.type === "text") {
+        const inline = first.children[0];
+        let end = 0;
+        while (end < inline.text.length && remaining > 0) {
+            if (inline.text[end] !== " " || previousChar !== " ") {
+                remaining--;
+            }
+            previousChar = inline.text[end];
+            end++;
+        }
+        if (end < inline.text.length) {
+            inline.text = inline.text.slice(end);
+            break;
+        }
+        first.children.shift();
+    }
+    if (!first.children.some((inline) => inline.type === "image" || inlineToText(inline).trim())) {
+        chapterDocument.blocks.shift();
+    }
+}
+
+/**
+ * Returns the plain text of a run, as written to TXT output.
+ * @param {ChapterInline} inline - The run.
+ * @returns {string} The text.
+ */
+function inlineToText(inline) {
+    if (inline.type === "ruby") {
+        return `${inline.base}${inline.open}${inline.annotation}${inline.close}`;
+    }
+    if (inline.type === "image") {
+        return inline.file ? `[Image: ${inline.file}]` : "[Image Skipped]";
+    }
+    return inline.text;
+}
+
+/**
+ * Renders the runs of one block as a single plain text line.
+ * @param {Array<ChapterInline>} inlines - The runs.
+ * @returns {string} The trimmed line, with runs of spaces collapsed.
+ */
+function renderInlinesAsText(inlines) {
+    return inlines
+        .map(inlineToText)
+        .join("")
+        .replace(/ {2,}/g, " ")
+        .replace(/\u00a0/g, " ")
+        .trim();
+}
+
+/**
+ * Renders a chapter document as plain text: one paragraph per block separated by blank lines.
+ * Formatting and scene breaks are dropped and images become "[Image Skipped]", or a reference to
+ * the downloaded file.
+ * @param {ChapterDocument} chapterDocument - The chapter document.
+ * @returns {string} The chapter text.
+ */
+function renderDocumentAsText(chapterDocument) {
+    return chapterDocument.blocks
+        .filter((block) => block.type !== "sceneBreak")
+        .map((block) => renderInlinesAsText(block.children))
+        .filter((line) => line.length > 0)
+        .join("\n\n");
+}
+
+/**
+ * Escapes characters that Markdown would otherwise read as formatting.
+ * @param {string} text - The raw text.
+ * @returns {string} The escaped text.
+ */
+function escapeMarkdown(text) {
+    return text.replace(/[\\`*_[\]<>]/g, "\\$&");
+}
+
+/**
+ * Wraps text in Markdown mark delimiters, keeping surrounding whitespace outside them.
+ * @param {string} text - The escaped text.
+ * @param {Array<string>} marks - The marks of the run.
+ * @returns {string} The Markdown text.
+ */
+function wrapMarkdownMarks(text, marks) {
+    const delimiter = (marks.includes("strong") ? "**" : "") + (marks.includes("emphasis") ? "*" : "");
+    const match = text.match(/^(\s*)(.*?)(\s*)$/s);
+    if (!delimiter || !match[2]) {
+        return text;
+    }
+    return `${match[1]}${delimiter}${match[2]}${[...delimiter].reverse().join("")}${match[3]}`;
 }
 
 /**
- * Cleans HTML content, removing tags, replacing breaks with newlines, and trimming whitespace.
- * @param {string} text - The HTML string to clean.
- * @returns {string} The cleaned plain text.
- */
-function cleanText(text) {
-    let cleaned = text;
-    // Replace div and p tags with newlines
-    cleaned = cleaned.replace(/<div>/g, "");
-    cleaned = cleaned.replace(/<\/div>/g, "");
-    cleaned = cleaned.replace(/<p>/g, "\n");
-    cleaned = cleaned.replace(/<\/p>/g, "\n");
-    // Replace br tags with newlines
-    cleaned = cleaned.replace(/<br\s*[/]?>/g, "\n");
-    // Replace img tags with a placeholder
-    cleaned = cleaned.replace(/<img[^>]*>/gi, "[Image Skipped]");
-    // Remove any remaining HTML tags
-    cleaned = cleaned.replace(/<[^>]*>/g, "");
-    // Replace multiple spaces with a single space
-    cleaned = cleaned.replace(/ {2,}/g, " ");
-    // Unescape HTML entities
-    cleaned = unescapeHTML(cleaned);
-
-    // Trim lines, filter empty lines, and join with double newlines
-    cleaned = cleaned
-        .split("\n")
-        .map((line) => line.trim())
+ * Renders a chapter document as Markdown. Ruby stays inline HTML, which Markdown allows.
+ * @param {ChapterDocument} chapterDocument - The chapter document.
+ * @param {object} [options] - Rendering options.
+ * @param {function(ChapterInline): (string|null)} [options.resolveImage] - Maps an image run to the path to
+ * reference, or null to leave the "[Image Skipped]" placeholder.
+ * @returns {string} The Markdown text.
+ */
+function renderDocumentAsMarkdown(chapterDocument, { resolveImage = () => null } = {}) {
+    const renderInline = (inline) => {
+        if (inline.type === "image") {
+            const src = resolveImage(inline);
+            return src ? `![${escapeMarkdown(inline.alt)}](${encodeURI(src)})` : "\\[Image Skipped\\]";
+        }
+        if (inline.type === "ruby") {
+            const ruby = `<ruby>${escapeXml(inline.base)}<rp>(</rp><rt>${escapeXml(inline.annotation)}</rt><rp>)</rp></ruby>`;
+            return wrapMarkdownMarks(ruby, inline.marks);
+        }
+        return wrapMarkdownMarks(escapeMarkdown(inline.text.replace(/ {2,}/g, " ")), inline.marks);
+    };
+
+    return chapterDocument.blocks
+        .map((block) => {
+            if (block.type === "sceneBreak") {
+                return "* * *";
+            }
+            const line = block.children.map(renderInline).join("").trim();
+            if (block.type === "heading") {
+                return `${"#".repeat(block.level)} ${line}`;
+            }
+            // Escape characters that would turn the paragraph into a heading, quote or list
+            return line.replace(/^([#>+-])/, "\\$1").replace(/^(\d+)\./, "$1\\.");
+        })
         .filter((line) => line.length > 0)
-        .join("\n\n")
-        .replace(/\n{3,}/g, "\n\n"); // Collapse multiple newlines
+        .join("\n\n");
+}
+
+/**
+ * Renders a chapter document as HTML body markup. The output is also well-formed XHTML, so the
+ * EPUB writer uses it as is.
+ * @param {ChapterDocument} chapterDocument - The chapter document.
+ * @param {object} [options] - Rendering options.
+ * @param {function(ChapterInline): (string|null)} [options.resolveImage] - Maps an image run to the URL to
+ * reference, or null to leave the "[Image Skipped]" placeholder.
+ * @returns {string} The HTML markup.
+ */
+function renderDocumentAsHtml(chapterDocument, { resolveImage = () => null } = {}) {
+    const renderInline = (inline) => {
+        if (inline.type === "image") {
+            const src = resolveImage(inline);
+            return src
+                ? `<img src="${escapeXml(src)}" alt="${escapeXml(inline.alt)}"/>`
+                : `<span class="image-skipped">[Image Skipped]</span>`;
+        }
+        let html = inline.type === "ruby"
+            ? `<ruby>${escapeXml(inline.base)}<rp>(</rp><rt>${escapeXml(inline.annotation)}</rt><rp>)</rp></ruby>`
+            : escapeXml(inline.text);
+        if (inline.marks.includes("emphasis")) {
+            html = `<em>${html}</em>`;
+        }
+        if (inline.marks.includes("strong")) {
+            html = `<strong>${html}</strong>`;
+        }
+        return html;
+    };
 
-    return cleaned;
+    return chapterDocument.blocks
+        .map((block) => {
+            if (block.type === "sceneBreak") {
+                return `<hr class="scene-break"/>`;
+            }
+            const tag = block.type === "heading" ? `h${block.level}` : "p";
+            return `<${tag}>${block.children.map(renderInline).join("").trim()}</${tag}>`;
+        })
+        .join("\n");
 }
 
 
@@ -168,10 +648,11 @@ function cleanText(text) {
  * Creates and displays a modal for showing download progress.
  * @param {string} title - The title of the modal.
  * @param {object} isBusyRef - A reference object to indicate if the download is busy (for close confirmation).
- * @returns {{modal: HTMLElement, statusElement: HTMLElement, progressText: HTMLElement, timeRemaining: HTMLElement, progressBar: HTMLElement, detailedProgress: HTMLElement, closeButton: HTMLElement}}
+ * @param {string} [logFileName="chapter_log.txt"] - File name used when exporting the chapter log.
+ * @returns {{modal: HTMLElement, statusElement: HTMLElement, progressText: HTMLElement, timeRemaining: HTMLElement, progressBar: HTMLElement, detailedProgress: HTMLElement, closeButton: HTMLElement, pauseButton: HTMLElement, stopButton: HTMLElement, chapterLog: object}}
  * An object containing references to the modal elements.
  */
-function createModal(title, isBusyRef) {
+function createModal(title, isBusyRef, logFileName = "chapter_log.txt") {
     // Add animation styles to the document if not already present
     if (!document.getElementById("novel-dl-styles")) {
         const style = document.createElement("style");
@@ -433,6 +914,39 @@ function createModal(title, isBusyRef) {
     });
     body.appendChild(detailedProgress);
 
+    // Create download controls
+    const controls = document.createElement("div");
+    Object.assign(controls.style, {
+        display: "flex",
+        justifyContent: "center",
+        gap: "10px",
+        marginTop: "16px",
+    });
+    const createControlButton = (text, title) => {
+        const button = document.createElement("button");
+        button.textContent = text;
+        button.title = title;
+        Object.assign(button.style, {
+            padding: "8px 14px",
+            border: "1px solid #d0d7e2",
+            borderRadius: "8px",
+            backgroundColor: "#fff",
+            color: "#172238",
+            cursor: "pointer",
+            fontSize: "13px",
+            fontWeight: "500",
+        });
+        controls.appendChild(button);
+        return button;
+    };
+    const pauseButton = createControlButton("Pause", "Pause after the chapters currently being fetched");
+    const stopButton = createControlButton("Stop and Save", "Skip the remaining chapters and save what has been downloaded");
+    body.appendChild(controls);
+
+    // Create the per-chapter log, collapsed until the user opens it
+    const chapterLog = createChapterLogPanel(logFileName);
+    body.appendChild(chapterLog.element);
+
     modal.appendChild(modalContent);
 
     return {
@@ -443,50 +957,335 @@ function createModal(title, isBusyRef) {
         progressBar,
         detailedProgress,
         closeButton,
+        pauseButton,
+        stopButton,
+        chapterLog,
     };
 }
 
+/** Chapter log statuses and their labels, in the order shown in the filter. */
+const CHAPTER_LOG_STATUSES = {
+    success: "Success",
+    captcha: "CAPTCHA",
+    network: "Network Error",
+    no_content: "No Content",
+};
+/** Icons shown in front of each chapter log row, by status. */
+const CHAPTER_LOG_ICONS = { success: "✅", captcha: "🛑", network: "⚠️", no_content: "❔" };
+/** Height of one chapter log row in pixels; rows must all be this tall for the virtual list. */
+const CHAPTER_LOG_ROW_HEIGHT = 22;
+/** Height of the chapter log viewport in pixels. */
+const CHAPTER_LOG_VIEWPORT_HEIGHT = 180;
+
 /**
- * Creates a custom confirmation modal instead of using window.confirm.
- * @param {string} title - The title of the confirmation modal.
- * @param {string} message - The message to display.
- * @param {function} onConfirm - Callback function if user confirms.
- * @param {function} [onCancel] - Callback function if user cancels.
+ * @typedef {object} ChapterLogEntry
+ * @property {(number|null)} number - The chapter number, if known.
+ * @property {string} url - The chapter URL.
+ * @property {(string|null)} episodeTitle - The fetched chapter title, if any.
+ * @property {string} status - A key of CHAPTER_LOG_STATUSES.
+ * @property {(string|null)} reason - Why the chapter failed, if it did.
+ * @property {(number|null)} bytes - Size of the chapter text and its illustrations in bytes, if it was downloaded.
+ * @property {number} fetchMs - Time spent fetching the chapter and its illustrations, without retry backoff or CAPTCHA waits.
+ * @property {number} finishedAt - When the chapter was processed (ms since epoch).
  */
-function showConfirmationModal(title, message, onConfirm, onCancel) {
-    const modal = document.createElement('div');
-    Object.assign(modal.style, {
-        position: 'fixed',
-        zIndex: '10000',
-        left: '0',
-        top: '0',
-        width: '100%',
-        height: '100%',
-        backgroundColor: 'rgba(0,0,0,0.6)',
-        display: 'flex',
-        alignItems: 'center',
-        justifyContent: 'center',
-        fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif',
+
+/**
+ * Maps a fetchNovelContent result status to a chapter log status.
+ * @param {string} resultStatus - The result status.
+ * @returns {string} A key of CHAPTER_LOG_STATUSES.
+ */
+function toChapterLogStatus(resultStatus) {
+    switch (resultStatus) {
+        case 'success':
+            return 'success';
+        case 'captcha':
+            return 'captcha';
+        case 'no_content_found':
+            return 'no_content';
+        default:
+            return 'network'; // network_error and fetch_error
+    }
+}
+
+/**
+ * Formats one chapter log entry as a single line of plain text, for copying and exporting.
+ * @param {ChapterLogEntry} entry - The log entry.
+ * @returns {string} The log line.
+ */
+function formatChapterLogLine(entry) {
+    const parts = [
+        new Date(entry.finishedAt).toISOString(),
+        entry.number !== null && entry.number !== undefined ? `[Chapter ${entry.number}]` : '[Chapter ?]',
+        CHAPTER_LOG_STATUSES[entry.status],
+        entry.episodeTitle || '-',
+        entry.bytes !== null ? formatByteSize(entry.bytes) : '-',
+        `${(entry.fetchMs / 1000).toFixed(2)}s`,
+        entry.url,
+    ];
+    if (entry.reason) {
+        parts.push(`Reason: ${entry.reason}`);
+    }
+    return parts.join(' | ');
+}
+
+/**
+ * Copies text to the clipboard, falling back to a hidden textarea where the Clipboard API is unavailable.
+ * @param {string} text - The text to copy.
+ * @returns {Promise<void>} Rejects if the text could not be copied.
+ */
+async function copyTextToClipboard(text) {
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+        await navigator.clipboard.writeText(text);
+        return;
+    }
+    const textarea = document.createElement("textarea");
+    textarea.value = text;
+    Object.assign(textarea.style, { position: "fixed", top: "-1000px", opacity: "0" });
+    document.body.appendChild(textarea);
+    textarea.select();
+    const copied = document.execCommand("copy");
+    document.body.removeChild(textarea);
+    if (!copied) {
+        throw new Error("Copy command was rejected");
+    }
+}
+
+/**
+ * Creates the collapsible per-chapter log shown in the progress modal.
+ * Only the rows inside the viewport are rendered, so logs of thousands of chapters stay cheap.
+ * @param {string} exportFileName - File name used by "Export Log".
+ * @returns {{element: HTMLElement, append: function(ChapterLogEntry): void, getEntries: function(): ChapterLogEntry[]}}
+ * The panel element and its controls.
+ */
+function createChapterLogPanel(exportFileName) {
+    const entries = [];
+    let filter = "";
+    let filtered = entries; // The entries matching the filter, in processing order
+    let isExpanded = false;
+
+    const element = document.createElement("div");
+    Object.assign(element.style, {
+        marginTop: "16px",
+        borderTop: "1px solid #eaecef",
+        paddingTop: "12px",
     });
 
-    const content = document.createElement('div');
+    const toggleButton = document.createElement("button");
+    Object.assign(toggleButton.style, {
+        background: "none",
+        border: "none",
+        padding: "0",
+        color: "#3a7bd5",
+        cursor: "pointer",
+        fontSize: "13px",
+        fontWeight: "500",
+    });
+    element.appendChild(toggleButton);
+
+    const content = document.createElement("div");
     Object.assign(content.style, {
-        backgroundColor: '#fff',
-        borderRadius: '12px',
-        boxShadow: '0 6px 30px rgba(0,0,0,0.2)',
-        width: '380px',
-        maxWidth: '90%',
-        padding: '28px',
-        textAlign: 'center',
-        animation: 'fadeIn 0.3s',
+        display: "none",
+        marginTop: "8px",
     });
+    element.appendChild(content);
 
-    const titleEl = document.createElement('h3');
-    titleEl.textContent = title;
-    Object.assign(titleEl.style, {
-        margin: '0 0 16px 0',
-        color: '#172238',
-        fontSize: '18px',
+    // Filter and actions
+    const toolbar = document.createElement("div");
+    Object.assign(toolbar.style, {
+        display: "flex",
+        alignItems: "center",
+        gap: "6px",
+        marginBottom: "6px",
+    });
+    content.appendChild(toolbar);
+
+    const filterSelect = document.createElement("select");
+    filterSelect.title = "Show only chapters with this status";
+    for (const [value, label] of [["", "All statuses"], ...Object.entries(CHAPTER_LOG_STATUSES)]) {
+        const option = document.createElement("option");
+        option.value = value;
+        option.textContent = label;
+        filterSelect.appendChild(option);
+    }
+    Object.assign(filterSelect.style, {
+        flex: "1",
+        padding: "4px 6px",
+        border: "1px solid #e4e9f0",
+        borderRadius: "6px",
+        fontSize: "12px",
+    });
+    toolbar.appendChild(filterSelect);
+
+    const createToolbarButton = (text, title, onClick) => {
+        const button = document.createElement("button");
+        button.textContent = text;
+        button.title = title;
+        Object.assign(button.style, {
+            padding: "4px 8px",
+            border: "1px solid #e4e9f0",
+            borderRadius: "6px",
+            backgroundColor: "#fff",
+            cursor: "pointer",
+            fontSize: "12px",
+        });
+        button.onclick = onClick;
+        toolbar.appendChild(button);
+        return button;
+    };
+
+    // Copying and exporting follow the filter, so e.g. only the failures can be shared
+    const getLogText = () => filtered.map(formatChapterLogLine).join("\n");
+    createToolbarButton("Copy Log", "Copy the shown log lines to the clipboard", () => {
+        copyTextToClipboard(getLogText())
+            .then(() => showNotification("Log Copied", `${filtered.length} log lines were copied to the clipboard.`))
+            .catch((e) => {
+                console.warn("[createChapterLogPanel] Failed to copy the log:", e);
+                showNotification("Copy Failed", "The log could not be copied. Use Export Log instead.");
+            });
+    });
+    createToolbarButton("Export Log", "Save the shown log lines as a text file", () => {
+        const a = document.createElement("a");
+        a.href = URL.createObjectURL(new Blob([getLogText()], { type: "text/plain" }));
+        a.download = exportFileName;
+        a.click();
+    });
+
+    // Virtual list: a spacer gives the viewport its full scroll height, and only visible rows are rendered
+    const viewport = document.createElement("div");
+    Object.assign(viewport.style, {
+        position: "relative",
+        height: `${CHAPTER_LOG_VIEWPORT_HEIGHT}px`,
+        overflowY: "auto",
+        border: "1px solid #eaecef",
+        borderRadius: "6px",
+        backgroundColor: "#fafbfc",
+        fontFamily: "monospace",
+        fontSize: "12px",
+    });
+    const spacer = document.createElement("div");
+    viewport.appendChild(spacer);
+    content.appendChild(viewport);
+
+    const renderRows = () => {
+        spacer.style.height = `${filtered.length * CHAPTER_LOG_ROW_HEIGHT}px`;
+        for (const row of [...viewport.querySelectorAll(".chapter-log-row")]) {
+            row.remove();
+        }
+        const height = viewport.clientHeight || CHAPTER_LOG_VIEWPORT_HEIGHT;
+        const first = Math.max(0, Math.floor(viewport.scrollTop / CHAPTER_LOG_ROW_HEIGHT) - 5);
+        const last = Math.min(filtered.length, Math.ceil((viewport.scrollTop + height) / CHAPTER_LOG_ROW_HEIGHT) + 5);
+        for (let i = first; i < last; i++) {
+            const entry = filtered[i];
+            const row = document.createElement("div");
+            row.className = "chapter-log-row";
+            const chapterLabel = entry.number !== null && entry.number !== undefined ? `#${entry.number}` : "#?";
+            const size = entry.bytes !== null ? formatByteSize(entry.bytes) : "-";
+            row.textContent = `${CHAPTER_LOG_ICONS[entry.status]} ${chapterLabel} ${entry.episodeTitle || entry.reason || "-"} · ${size} · ${(entry.fetchMs / 1000).toFixed(2)}s · ${entry.url}`;
+            row.title = formatChapterLogLine(entry);
+            Object.assign(row.style, {
+                position: "absolute",
+                top: `${i * CHAPTER_LOG_ROW_HEIGHT}px`,
+                left: "0",
+                right: "0",
+                height: `${CHAPTER_LOG_ROW_HEIGHT}px`,
+                lineHeight: `${CHAPTER_LOG_ROW_HEIGHT}px`,
+                padding: "0 8px",
+                whiteSpace: "nowrap",
+                overflow: "hidden",
+                textOverflow: "ellipsis",
+                color: entry.status === "success" ? "#444" : "#c0392b",
+            });
+            viewport.appendChild(row);
+        }
+    };
+
+    const updateToggleText = () => {
+        const failures = entries.filter((entry) => entry.status !== "success").length;
+        toggleButton.textContent = `${isExpanded ? "▾ Hide" : "▸ Show"} Chapter Log (${entries.length}${failures > 0 ? `, ${failures} failed` : ""})`;
+    };
+
+    toggleButton.onclick = () => {
+        isExpanded = !isExpanded;
+        content.style.display = isExpanded ? "block" : "none";
+        updateToggleText();
+        if (isExpanded) {
+            viewport.scrollTop = viewport.scrollHeight; // Start at the latest chapters
+            renderRows();
+        }
+    };
+    filterSelect.onchange = () => {
+        filter = filterSelect.value;
+        filtered = filter ? entries.filter((entry) => entry.status === filter) : entries;
+        viewport.scrollTop = 0;
+        renderRows();
+    };
+    viewport.addEventListener("scroll", renderRows);
+    updateToggleText();
+
+    return {
+        element,
+        append: (entry) => {
+            entries.push(entry);
+            if (filter && entry.status === filter) {
+                filtered.push(entry);
+            }
+            updateToggleText();
+            if (!isExpanded || (filter && entry.status !== filter)) {
+                return;
+            }
+            // Keep following new chapters unless the user scrolled up to read older ones
+            const height = viewport.clientHeight || CHAPTER_LOG_VIEWPORT_HEIGHT;
+            const wasAtBottom = viewport.scrollTop + height >= (filtered.length - 1) * CHAPTER_LOG_ROW_HEIGHT - 1;
+            renderRows();
+            if (wasAtBottom) {
+                viewport.scrollTop = viewport.scrollHeight;
+            }
+        },
+        getEntries: () => entries.slice(),
+    };
+}
+
+/**
+ * Creates a custom confirmation modal instead of using window.confirm.
+ * @param {string} title - The title of the confirmation modal.
+ * @param {string} message - The message to display.
+ * @param {function} onConfirm - Callback function if user confirms.
+ * @param {function} [onCancel] - Callback function if user cancels.
+ */
+function showConfirmationModal(title, message, onConfirm, onCancel) {
+    const modal = document.createElement('div');
+    Object.assign(modal.style, {
+        position: 'fixed',
+        zIndex: '10000',
+        left: '0',
+        top: '0',
+        width: '100%',
+        height: '100%',
+        backgroundColor: 'rgba(0,0,0,0.6)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif',
+    });
+
+    const content = document.createElement('div');
+    Object.assign(content.style, {
+        backgroundColor: '#fff',
+        borderRadius: '12px',
+        boxShadow: '0 6px 30px rgba(0,0,0,0.2)',
+        width: '380px',
+        maxWidth: '90%',
+        padding: '28px',
+        textAlign: 'center',
+        animation: 'fadeIn 0.3s',
+    });
+
+    const titleEl = document.createElement('h3');
+    titleEl.textContent = title;
+    Object.assign(titleEl.style, {
+        margin: '0 0 16px 0',
+        color: '#172238',
+        fontSize: '18px',
         fontWeight: '600',
     });
     content.appendChild(titleEl);
@@ -552,52 +1351,252 @@ function showConfirmationModal(title, message, onConfirm, onCancel) {
     modal.appendChild(content);
     document.body.appendChild(modal);
 }
+
+/**
+ * Shows a modal asking the user to solve a CAPTCHA for a blocked chapter in a new tab.
+ * @param {string} url - The blocked chapter URL.
+ * @param {number} timeoutMs - Auto-skip after this many milliseconds; 0 waits indefinitely.
+ * @param {function(): boolean} isStopped - Returns true when the download was cancelled; the modal then closes as skipped.
+ * @returns {Promise<'solved'|'skipped'>} Resolves with the user's decision.
+ */
+function showCaptchaModal(url, timeoutMs, isStopped) {
+    return new Promise((resolve) => {
+        const modal = document.createElement('div');
+        Object.assign(modal.style, {
+            position: 'fixed',
+            zIndex: '10000',
+            left: '0',
+            top: '0',
+            width: '100%',
+            height: '100%',
+            backgroundColor: 'rgba(0,0,0,0.6)',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif',
+        });
+
+        const content = document.createElement('div');
+        Object.assign(content.style, {
+            backgroundColor: '#fff',
+            borderRadius: '12px',
+            boxShadow: '0 6px 30px rgba(0,0,0,0.2)',
+            width: '400px',
+            maxWidth: '90%',
+            padding: '28px',
+            textAlign: 'center',
+            animation: 'fadeIn 0.3s',
+        });
+
+        const titleEl = document.createElement('h3');
+        titleEl.textContent = 'CAPTCHA Required';
+        Object.assign(titleEl.style, {
+            margin: '0 0 16px 0',
+            color: '#172238',
+            fontSize: '18px',
+            fontWeight: '600',
+        });
+        content.appendChild(titleEl);
+
+        const messageEl = document.createElement('p');
+        messageEl.textContent = 'The site is asking for a CAPTCHA. The download is paused. Open the page, solve the CAPTCHA, then come back and continue.';
+        Object.assign(messageEl.style, {
+            color: '#555',
+            fontSize: '14px',
+            marginBottom: '16px',
+        });
+        content.appendChild(messageEl);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.target = '_blank';
+        link.rel = 'noopener';
+        link.textContent = 'Open blocked page in a new tab';
+        Object.assign(link.style, {
+            display: 'inline-block',
+            color: '#3a7bd5',
+            fontSize: '14px',
+            fontWeight: '500',
+            marginBottom: '24px',
+            wordBreak: 'break-all',
+        });
+        content.appendChild(link);
+
+        const countdownEl = document.createElement('div');
+        Object.assign(countdownEl.style, {
+            color: '#999',
+            fontSize: '13px',
+            marginBottom: '16px',
+        });
+        content.appendChild(countdownEl);
+
+        const buttonContainer = document.createElement('div');
+        Object.assign(buttonContainer.style, {
+            display: 'flex',
+            justifyContent: 'center',
+            gap: '12px',
+        });
+
+        const solvedBtn = document.createElement('button');
+        solvedBtn.textContent = "I've solved it, continue";
+        Object.assign(solvedBtn.style, {
+            padding: '10px 20px',
+            border: 'none',
+            borderRadius: '8px',
+            backgroundColor: '#4CAF50',
+            color: 'white',
+            cursor: 'pointer',
+            fontSize: '14px',
+            fontWeight: '500',
+            transition: 'background-color 0.2s',
+        });
+        solvedBtn.onmouseover = () => solvedBtn.style.backgroundColor = '#388E3C';
+        solvedBtn.onmouseout = () => solvedBtn.style.backgroundColor = '#4CAF50';
+        buttonContainer.appendChild(solvedBtn);
+
+        const skipBtn = document.createElement('button');
+        skipBtn.textContent = 'Skip this chapter';
+        Object.assign(skipBtn.style, {
+            padding: '10px 20px',
+            border: '1px solid #e4e9f0',
+            borderRadius: '8px',
+            backgroundColor: '#f9f9fb',
+            cursor: 'pointer',
+            fontSize: '14px',
+            fontWeight: '500',
+            transition: 'all 0.2s ease',
+        });
+        skipBtn.onmouseover = () => skipBtn.style.backgroundColor = '#f0f2f8';
+        skipBtn.onmouseout = () => skipBtn.style.backgroundColor = '#f9f9fb';
+        buttonContainer.appendChild(skipBtn);
+
+        content.appendChild(buttonContainer);
+        modal.appendChild(content);
+        document.body.appendChild(modal);
+
+        const deadline = timeoutMs > 0 ? Date.now() + timeoutMs : null;
+        let timer = null;
+
+        const finish = (decision) => {
+            clearInterval(timer);
+            if (modal.parentNode) {
+                document.body.removeChild(modal);
+            }
+            resolve(decision);
+        };
+
+        const tick = () => {
+            if (isStopped()) {
+                finish('skipped');
+                return;
+            }
+            if (deadline) {
+                const remaining = deadline - Date.now();
+                if (remaining <= 0) {
+                    console.warn(`[showCaptchaModal] No response within ${timeoutMs}ms, skipping: ${url}`);
+                    finish('skipped');
+                    return;
+                }
+                countdownEl.textContent = `Auto-skipping this chapter in ${formatTime(remaining)}`;
+            }
+        };
+
+        solvedBtn.onclick = () => finish('solved');
+        skipBtn.onclick = () => finish('skipped');
+        timer = setInterval(tick, 500);
+        tick();
+    });
+}
+
+
 // Part 3: Progress Tracking and Utility Functions
 
+/** Weight of the newest sample in the progress tracker's moving averages (0-1). */
+const PROGRESS_EWMA_ALPHA = 0.3;
+
+/**
+ * @typedef {object} ChapterTiming
+ * @property {number} fetchMs - Time spent fetching the chapter and its illustrations, without backoff or CAPTCHA waits.
+ * @property {number} waitMs - Time the worker waited for a rate limiter token before the chapter.
+ * @property {number} backoffMs - Time spent waiting between retry attempts.
+ * @property {number} intervalMs - The rate limiter interval when the worker started waiting.
+ * @property {number} bytes - Bytes downloaded for the chapter (pages and illustrations).
+ */
+
 /**
- * Creates a progress tracker using a moving average for more accurate time estimation.
+ * Creates a progress tracker that estimates the remaining time from per-chapter timings.
+ * Fetch, wait and backoff times are kept as separate exponentially weighted moving averages. The wait
+ * is stored relative to the rate limiter interval, so the estimate follows the limiter when it backs off
+ * or ramps up instead of assuming the delay a chapter saw earlier. Chapters restored from storage do not
+ * count as samples, so a resumed download does not look faster than it is.
  * @param {number} totalItems - The total number of items to process.
- * @returns {{update: function(number): {progress: string, remaining: string, elapsed: string, speed: string}}}
- * An object with an update method to get current progress statistics.
+ * @param {number} workerCount - The number of workers processing items in parallel.
+ * @returns {{recordChapter: function(ChapterTiming): void, update: function(number, number, number=): object}}
+ * An object to record finished chapters, and to get current progress statistics from the number of finished
+ * items (including restored ones), the current rate limiter interval and the limiter's current concurrency
+ * (workers above it are parked during backoff).
  */
-function createProgressTracker(totalItems) {
+function createProgressTracker(totalItems, workerCount = 1) {
     const startTime = Date.now();
-    const processingTimes = [];
-    const MAX_SAMPLES = 5; // Use last 5 samples for moving average
+    const averages = {
+        fetchMs: null,
+        waitIntervals: null, // Wait divided by the limiter interval at the time
+        waitMs: null,
+        backoffMs: null,
+        bytes: null,
+    };
+
+    const addSample = (key, value) => {
+        averages[key] = averages[key] === null
+            ? value
+            : PROGRESS_EWMA_ALPHA * value + (1 - PROGRESS_EWMA_ALPHA) * averages[key];
+    };
 
     return {
-        update: (completedItems) => {
+        recordChapter: ({ fetchMs, waitMs, backoffMs, intervalMs, bytes }) => {
+            addSample("fetchMs", fetchMs);
+            addSample("waitMs", waitMs);
+            addSample("backoffMs", backoffMs);
+            addSample("bytes", bytes);
+            if (intervalMs > 0) {
+                addSample("waitIntervals", waitMs / intervalMs);
+            }
+        },
+        update: (completedItems, intervalMs, concurrency = workerCount) => {
             const progress = (completedItems / totalItems) * 100;
-
             const elapsed = Date.now() - startTime;
+            const remainingItems = totalItems - completedItems;
 
-            // Calculate time per item and store for moving average
-            if (completedItems > 0) {
-                const currentTimePerItem = elapsed / completedItems;
-                processingTimes.push(currentTimePerItem);
-
-                // Keep only the most recent samples
-                if (processingTimes.length > MAX_SAMPLES) {
-                    processingTimes.shift();
-                }
+            // One worker's cycle per chapter: wait for a token, fetch, and back off on failures
+            let timePerItem = null;
+            if (averages.fetchMs !== null) {
+                const expectedWaitMs = averages.waitIntervals !== null && intervalMs > 0
+                    ? averages.waitIntervals * intervalMs
+                    : averages.waitMs;
+                const activeWorkers = Math.max(1, Math.min(workerCount, concurrency));
+                timePerItem = (averages.fetchMs + expectedWaitMs + averages.backoffMs) / activeWorkers;
+                // The limiter hands out one token per interval, however many workers are waiting
+                timePerItem = Math.max(timePerItem, intervalMs);
+            } else if (intervalMs > 0) {
+                timePerItem = intervalMs; // No chapter finished yet; the limiter allows one per interval at best
             }
 
-            // Calculate moving average of processing time
-            const avgTimePerItem =
-                processingTimes.length > 0
-                    ? processingTimes.reduce((sum, time) => sum + time, 0) /
-                    processingTimes.length
-                    : 0;
-
-            // Calculate remaining time based on moving average
-            const remainingItems = totalItems - completedItems;
-            const estimatedRemainingTime = avgTimePerItem * remainingItems;
+            const estimatedRemainingTime = timePerItem !== null ? timePerItem * remainingItems : null;
+            const bytesPerSecond = timePerItem > 0 && averages.bytes !== null
+                ? (averages.bytes / timePerItem) * 1000
+                : 0;
 
             return {
                 progress: progress.toFixed(1),
-                remaining: formatTime(estimatedRemainingTime),
+                remaining: estimatedRemainingTime !== null ? formatTime(estimatedRemainingTime) : "Estimating...",
+                finishTime: estimatedRemainingTime !== null
+                    ? new Date(Date.now() + estimatedRemainingTime).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })
+                    : "-",
                 elapsed: formatTime(elapsed),
-                speed: avgTimePerItem > 0 ? (1000 / avgTimePerItem).toFixed(2) : "0.00", // Items per second
+                chaptersPerMinute: timePerItem > 0 ? (60000 / timePerItem).toFixed(1) : "0.0",
+                kilobytesPerSecond: (bytesPerSecond / 1024).toFixed(1),
+                fetchTime: averages.fetchMs !== null ? `${(averages.fetchMs / 1000).toFixed(1)}s` : "-",
+                waitTime: averages.waitMs !== null ? `${(averages.waitMs / 1000).toFixed(1)}s` : "-",
             };
         },
     };
@@ -622,6 +1621,195 @@ function formatTime(ms) {
     return `${hours}h ${mins}m`;
 }
 
+/**
+ * Formats a byte count into a human-readable size (e.g., "12.3 KB").
+ * @param {number} bytes - Size in bytes.
+ * @returns {string} Formatted size string.
+ */
+function formatByteSize(bytes) {
+    if (bytes < 1024) {
+        return `${bytes} B`;
+    }
+    if (bytes < 1024 * 1024) {
+        return `${(bytes / 1024).toFixed(1)} KB`;
+    }
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Waits for the given time, returning early once `isStopped` reports true.
+ * @param {number} ms - Time to wait in milliseconds.
+ * @param {function(): boolean} [isStopped] - Polled periodically; ends the wait when it returns true.
+ * @returns {Promise<void>}
+ */
+async function waitUnlessStopped(ms, isStopped) {
+    const POLL_INTERVAL = 250;
+    const endTime = Date.now() + ms;
+    while (Date.now() < endTime) {
+        if (isStopped && isStopped()) {
+            return;
+        }
+        await new Promise((r) => setTimeout(r, Math.min(POLL_INTERVAL, endTime - Date.now())));
+    }
+}
+
+/**
+ * Creates a pause controller that download workers check between chapters.
+ * @returns {{pause: function(): void, resume: function(): void, isPaused: function(): boolean, waitWhilePaused: function(function(): boolean): Promise<void>}}
+ * The controller API.
+ */
+function createPauseController() {
+    let paused = false;
+    let resumeWaiters = [];
+
+    return {
+        pause: () => {
+            paused = true;
+        },
+        resume: () => {
+            paused = false;
+            const waiters = resumeWaiters;
+            resumeWaiters = [];
+            waiters.forEach((resolve) => resolve());
+        },
+        isPaused: () => paused,
+        waitWhilePaused: async (isStopped) => {
+            while (paused && !(isStopped && isStopped())) {
+                // Wake up on resume, or periodically to notice cancellation
+                await Promise.race([
+                    new Promise((resolve) => resumeWaiters.push(resolve)),
+                    new Promise((r) => setTimeout(r, 250)),
+                ]);
+            }
+        },
+    };
+}
+
+/** Maximum number of chapters fetched in parallel. */
+const MAX_CONCURRENCY = 4;
+
+/**
+ * Creates a token-bucket rate limiter shared by all download workers, with adaptive backoff.
+ * Tokens refill at one per interval (initially `baseDelayMs`) and the bucket holds up to the current
+ * concurrency level. Throttling signals (CAPTCHA, 429, 5xx) double the interval and park one worker;
+ * a run of successes slowly shortens the interval again and then re-enables parked workers.
+ * @param {number} baseDelayMs - The configured delay between requests in milliseconds.
+ * @param {number} maxConcurrency - The configured number of workers.
+ * @returns {{acquire: function(number, function(): boolean): Promise<void>, reportSuccess: function(): void, reportThrottle: function(): void, reconfigure: function(number, number): void, getState: function(): {intervalMs: number, concurrency: number}}}
+ * The limiter API.
+ */
+function createRateLimiter(baseDelayMs, maxConcurrency) {
+    const MAX_INTERVAL_MULTIPLIER = 8; // Never back off beyond 8x the configured delay
+    const SUCCESSES_BEFORE_RAMP_UP = 10; // Successes in a row needed before speeding up again
+    const POLL_INTERVAL = 250; // How often waiting workers re-check for cancellation
+
+    let intervalMs = baseDelayMs;
+    let concurrency = maxConcurrency;
+    let tokens = 1; // Let the first request through immediately
+    let lastRefill = Date.now();
+    let successStreak = 0;
+    let queue = Promise.resolve(); // Serializes token hand-out so waiting workers are served in order
+
+    const refill = () => {
+        const now = Date.now();
+        tokens = intervalMs > 0
+            ? Math.min(concurrency, tokens + (now - lastRefill) / intervalMs)
+            : concurrency;
+        lastRefill = now;
+    };
+
+    return {
+        acquire: async (workerIndex, isStopped) => {
+            // Workers above the current concurrency level idle until it is raised again
+            while (workerIndex >= concurrency && !isStopped()) {
+                await new Promise((r) => setTimeout(r, POLL_INTERVAL));
+            }
+
+            const turn = queue.then(async () => {
+                refill();
+                while (tokens < 1 && !isStopped()) {
+                    const waitMs = Math.ceil((1 - tokens) * intervalMs);
+                    await new Promise((r) => setTimeout(r, Math.min(waitMs, POLL_INTERVAL)));
+                    refill();
+                }
+                tokens -= 1;
+            });
+            queue = turn.catch(() => {});
+            return turn;
+        },
+        reportSuccess: () => {
+            successStreak++;
+            if (successStreak < SUCCESSES_BEFORE_RAMP_UP) {
+                return;
+            }
+            successStreak = 0;
+            if (intervalMs > baseDelayMs) {
+                intervalMs = Math.max(baseDelayMs, Math.round(intervalMs * 0.75));
+            } else if (concurrency < maxConcurrency) {
+                concurrency++;
+            }
+            console.log("[rateLimiter] Ramping up", { intervalMs, concurrency });
+        },
+        reportThrottle: () => {
+            successStreak = 0;
+            refill();
+            intervalMs = Math.min(
+                Math.max(baseDelayMs, 1000) * MAX_INTERVAL_MULTIPLIER,
+                Math.max(intervalMs * 2, 1000),
+            );
+            concurrency = Math.max(1, concurrency - 1);
+            tokens = Math.min(tokens, 0); // Make everyone wait a full (longer) interval
+            console.warn("[rateLimiter] Backing off", { intervalMs, concurrency });
+        },
+        reconfigure: (newBaseDelayMs, newMaxConcurrency) => {
+            // Keep the current backoff, so a site that was throttling stays slowed down for the next download
+            refill();
+            const backoffFactor = baseDelayMs > 0 ? intervalMs / baseDelayMs : 1;
+            baseDelayMs = newBaseDelayMs;
+            maxConcurrency = newMaxConcurrency;
+            intervalMs = Math.round(newBaseDelayMs * backoffFactor);
+            concurrency = Math.min(concurrency, newMaxConcurrency);
+            tokens = Math.min(tokens, concurrency);
+        },
+        getState: () => ({ intervalMs, concurrency }),
+    };
+}
+
+/** Rate limiter shared by every download, queued or started directly, so two novels never hit the site side by side. */
+let sharedRateLimiter = null;
+/** Number of downloads currently using the shared rate limiter. */
+let sharedRateLimiterUsers = 0;
+
+/**
+ * Gets the rate limiter shared by all downloads. The first download to start sets its delay and
+ * concurrency (keeping any backoff from earlier downloads); a download starting while another one is
+ * running shares that download's pace.
+ * @param {number} delayMs - The download's delay between requests in milliseconds.
+ * @param {number} concurrency - The download's number of workers.
+ * @returns {{limiter: object, release: function(): void}} The limiter (see createRateLimiter), and a function
+ * to call once the download stops fetching.
+ */
+function acquireSharedRateLimiter(delayMs, concurrency) {
+    if (!sharedRateLimiter) {
+        sharedRateLimiter = createRateLimiter(delayMs, concurrency);
+    } else if (sharedRateLimiterUsers === 0) {
+        sharedRateLimiter.reconfigure(delayMs, concurrency);
+    } else {
+        console.log("[acquireSharedRateLimiter] Another download is running; sharing its pace.", sharedRateLimiter.getState());
+    }
+    sharedRateLimiterUsers++;
+    let isReleased = false;
+    return {
+        limiter: sharedRateLimiter,
+        release: () => {
+            if (!isReleased) {
+                isReleased = true;
+                sharedRateLimiterUsers--;
+            }
+        },
+    };
+}
+
 /**
  * Dynamically loads a JavaScript script from a given URL.
  * @param {string} url - The URL of the script to load.
@@ -640,6 +1828,37 @@ async function loadScript(url) {
     });
 }
 
+/**
+ * Loads JSZip from the CDN and waits until it is available on the window.
+ * Only used as a fallback for ZIP files the built-in reader cannot open (see loadZipArchive).
+ * @returns {Promise<Function>} The JSZip constructor.
+ */
+async function loadJSZip() {
+    if (typeof window.JSZip !== 'undefined') {
+        return window.JSZip;
+    }
+
+    await loadScript(
+        "https://cdnjs.cloudflare.com/ajax/libs/jszip/3.10.1/jszip.min.js",
+    );
+    // Add a robust check to ensure JSZip is defined after loading
+    const MAX_WAIT_TIME = 5000; // Maximum time to wait for JSZip to be defined (5 seconds)
+    const CHECK_INTERVAL = 100; // Check every 100 ms
+    let elapsedWaitTime = 0;
+
+    console.log("[loadJSZip] Verifying JSZip availability...");
+    while (typeof window.JSZip === 'undefined' && elapsedWaitTime < MAX_WAIT_TIME) {
+        await new Promise(r => setTimeout(r, CHECK_INTERVAL));
+        elapsedWaitTime += CHECK_INTERVAL;
+    }
+
+    if (typeof window.JSZip === 'undefined') {
+        throw new Error("JSZip did not become defined within the expected time.");
+    }
+
+    return window.JSZip;
+}
+
 /**
  * Sanitizes a string to be used as a filename, replacing invalid characters with underscores.
  * @param {string} name - The original string.
@@ -725,73 +1944,216 @@ function showChromeNotification(title, message) {
 
 // Part 4: Core Download Logic
 
+/** Identifies JSON reports written by processDownloadCore. */
+const JSON_REPORT_FORMAT = "novel-dl-report";
+const JSON_REPORT_VERSION = 1;
+
+/**
+ * Builds the machine-readable download report.
+ * @param {object} data - The download data.
+ * @param {string} data.title - The novel title.
+ * @param {string} [data.sourceUrl] - The novel list page URL.
+ * @param {string} [data.originalFileNameForReport] - The report file this run retried, if any.
+ * @param {number} [data.initialStartEpisode] - The first episode of the requested range.
+ * @param {number} [data.initialEndEpisode] - The last episode of the requested range.
+ * @param {object} data.settings - The settings used (delay, save mode, concurrency, ...).
+ * @param {NovelMetadata} [data.metadata] - The novel metadata.
+ * @param {Array<{url: string, number: (number|null)}>} data.episodes - All episodes of the run, in order.
+ * @param {Array<object>} data.outcomes - The outcome per episode (undefined if never processed).
+ * @param {Map<object, {part: number, start: number, end: number}>} [data.textPositions] - Where each successful
+ * outcome's text sits in a TXT download (see getTextChapterPositions).
+ * @returns {object} The report object, ready for JSON.stringify.
+ */
+function buildJsonReport({
+    title,
+    sourceUrl,
+    originalFileNameForReport,
+    initialStartEpisode,
+    initialEndEpisode,
+    settings,
+    metadata,
+    episodes,
+    outcomes,
+    textPositions,
+}) {
+    const chapters = episodes.map(({ url, number }, i) => {
+        const outcome = outcomes[i];
+        if (!outcome) {
+            return { position: i + 1, number, url, status: "pending", reason: "Not downloaded", attempts: 0 };
+        }
+        return {
+            position: i + 1,
+            number,
+            url,
+            status: outcome.status,
+            episodeTitle: outcome.chapter ? outcome.chapter.episodeTitle : null,
+            fileName: outcome.fileName || null,
+            textRange: textPositions?.get(outcome) || null,
+            reason: outcome.reason || null,
+            imageFailures: outcome.imageFailures || [],
+            attempts: outcome.restored ? 0 : (outcome.retried || 0) + 1,
+            restored: Boolean(outcome.restored),
+            startedAt: outcome.startedAt ? new Date(outcome.startedAt).toISOString() : null,
+            finishedAt: outcome.finishedAt ? new Date(outcome.finishedAt).toISOString() : null,
+        };
+    });
+
+    return {
+        format: JSON_REPORT_FORMAT,
+        version: JSON_REPORT_VERSION,
+        generatedAt: new Date().toISOString(),
+        novelTitle: title,
+        sourceUrl: sourceUrl || null,
+        retryOf: originalFileNameForReport || null,
+        range: {
+            start: initialStartEpisode ?? null,
+            end: initialEndEpisode ?? null,
+        },
+        settings,
+        metadata: normalizeNovelMetadata(metadata),
+        summary: {
+            total: chapters.length,
+            success: chapters.filter((chapter) => chapter.status === "success").length,
+            skipped: chapters.filter((chapter) => chapter.status === "skipped").length,
+            incomplete: chapters.filter((chapter) => chapter.status === "incomplete").length,
+            pending: chapters.filter((chapter) => chapter.status === "pending").length,
+        },
+        chapters,
+    };
+}
+
+/**
+ * Formats one failed chapter as a report line. The "URL: " part is what parseReportFile looks for.
+ * @param {{url: string, number: (number|null), reason: string, retried: number}} item - The failed chapter outcome.
+ * @returns {string} The report line.
+ */
+function formatReportLine(item) {
+    const chapterLabel = item.number !== null && item.number !== undefined ? `[Chapter ${item.number}] ` : '';
+    return `${chapterLabel}URL: ${item.url} (Reason: ${item.reason}) | Retried: ${item.retried || 0} times`;
+}
+
 /**
  * Core function to process and download novel chapters.
  * This function handles both initial full downloads and retries from a report file.
  * @param {string} title - The title of the novel.
- * @param {Array<string>} episodeUrlsToProcess - An array of episode URLs to download.
+ * @param {Array<string|{url: string, number: (number|null)}>} episodesToProcess - The episodes to download, in reading
+ * order. Plain URLs are accepted when the episode numbers are unknown (e.g. retries from a text report).
  * @param {number} delayMs - Delay between fetches in milliseconds.
- * @param {boolean} saveAsZip - True to save as a ZIP file, false for a single text file.
+ * @param {string} saveMode - "txt" for a single text file, "zip" for a ZIP of chapter files, "epub" for an EPUB 3 book,
+ * "md" for a ZIP of Markdown chapter files with an index.md, "md-combined" for a ZIP with a single Markdown file,
+ * "html" for a self-contained offline reader.
  * @param {string} [originalFileNameForReport] - Optional. If retrying, the name of the original report file.
  * @param {number} [initialStartEpisode] - Optional. For initial full download, the starting episode number.
  * @param {number} [initialEndEpisode] - Optional. For initial full download, the ending episode number.
+ * @param {object} [options] - Optional. Additional download options.
+ * @param {string} [options.resumeJobId] - ID of an interrupted job stored in IndexedDB to continue.
+ * @param {number} [options.concurrency] - Number of chapters fetched in parallel (1 to MAX_CONCURRENCY). Defaults to 1.
+ * @param {number} [options.maxAttempts] - Attempts per chapter for transient failures. Defaults to DEFAULT_MAX_ATTEMPTS.
+ * @param {number} [options.captchaTimeoutMs] - Auto-skip a CAPTCHA-blocked chapter after this long; 0 waits for the user.
+ * @param {string} [options.sourceUrl] - The novel list page URL, recorded in the JSON report.
+ * @param {object} [options.mergeBase] - Original download to merge the retried chapters into (see loadOriginalDownload).
+ * @param {boolean} [options.downloadImages] - Fetch chapter illustrations into images/ (ZIP and EPUB only).
+ * @param {string} [options.typography] - Typography normalization mode, a key of TYPOGRAPHY_MODES. Defaults to "keep".
+ * @param {Array<TextRule>} [options.textRules] - Post-processing rules. Defaults to the rules saved for the site.
+ * @param {Partial<NovelMetadata>} [options.metadata] - Author, cover, synopsis, tags and status written into the output.
+ * @param {boolean} [options.trackInLibrary] - Record the download in the library so new chapters can be fetched later.
+ * Requires options.sourceUrl.
+ * @param {number} [options.volume] - Volume number of an incremental library download, added to the file names.
+ * @param {number} [options.splitChapters] - Start a new output part after this many chapters; 0 never splits by count.
+ * @param {number} [options.splitSizeMb] - Start a new output part before it grows past this many megabytes; 0 never
+ * splits by size. Defaults to DEFAULT_SPLIT_SIZE_MB.
+ * @param {boolean} [options.background] - Run without the progress modal and save the output through options.requestSave
+ * (download queue).
+ * @param {object} [options.pauseController] - A pause controller owned by the caller (see createPauseController).
+ * @param {AbortSignal} [options.signal] - Cancels the download when aborted.
+ * @param {function(number, number): void} [options.onProgress] - Called with the processed and total chapter counts.
+ * @param {function(string): void} [options.onSaveProgress] - Called with a short progress text while the output is generated.
+ * @param {function(string, function(): void): Promise<boolean>} [options.requestSave] - With options.background, shows a
+ * button with the given label that saves output files when clicked; resolves false if the user gives up.
+ * @param {function(object): void} [options.onChapterLog] - Receives the per-chapter log panel (see createChapterLogPanel),
+ * so it can be shown elsewhere when the progress modal is not (download queue).
+ * @returns {Promise<{status: string, completed: (number|undefined), skipped: (number|undefined), incomplete: (number|undefined), pending: (number|undefined)}>}
+ * "done" with the chapter counts, "cancelled" or "failed".
  */
 async function processDownloadCore(
     title,
-    episodeUrlsToProcess,
+    episodesToProcess,
     delayMs,
-    saveAsZip,
+    saveMode,
     originalFileNameForReport = '',
     initialStartEpisode,
-    initialEndEpisode
+    initialEndEpisode,
+    options = {}
 ) {
     console.log("[processDownloadCore] Starting", {
         title,
-        saveAsZip,
+        saveMode,
         delayMs,
-        episodeUrlsCount: episodeUrlsToProcess.length,
+        episodeUrlsCount: episodesToProcess.length,
         originalFileNameForReport,
         initialStartEpisode,
-        initialEndEpisode
+        initialEndEpisode,
+        options
     });
 
-    let zip;
-    if (saveAsZip) {
-        try {
-            await loadScript(
-                "https://cdnjs.cloudflare.com/ajax/libs/jszip/3.10.1/jszip.min.js",
-            );
-                      // Add a robust check to ensure JSZip is defined after loading
-            const MAX_WAIT_TIME = 5000; // Maximum time to wait for JSZip to be defined (5 seconds)
-            const CHECK_INTERVAL = 100; // Check every 100 ms
-            let elapsedWaitTime = 0;
-
-            console.log("[processDownloadCore] Verifying JSZip availability...");
-            while (typeof window.JSZip === 'undefined' && elapsedWaitTime < MAX_WAIT_TIME) {
-                await new Promise(r => setTimeout(r, CHECK_INTERVAL));
-                elapsedWaitTime += CHECK_INTERVAL;
-            }
-
-            if (typeof window.JSZip === 'undefined') {
-                throw new Error("JSZip did not become defined within the expected time.");
-            }
-
-            zip = new JSZip();
-            console.log("[processDownloadCore] JSZip loaded successfully.");
-        } catch (e) {
-            console.error("[processDownloadCore] JSZip failed to load:", e);
-            showNotification(
-                e.message +
-                "ZIP Library Load Failed",
-                "Cannot compress files into a ZIP. Please check your internet connection or try again later. The download will proceed as a single text file if possible, otherwise it will be cancelled."
-            );
-            // If JSZip fails to load, we cannot save as ZIP. Fallback or cancel.
-            // For now, let's cancel to prevent unexpected behavior.
-            return;
+    // Every mode except TXT is written into a ZIP container (EPUB is one too)
+    const savesToZip = ["zip", "md", "md-combined"].includes(saveMode);
+
+    // Every episode carries its real ordinal from the episode list (null if unknown)
+    const episodes = episodesToProcess.map((entry) => (typeof entry === 'string'
+        ? { url: entry, number: null }
+        : { url: entry.url, number: entry.number ?? null }));
+    const episodeUrls = episodes.map((episode) => episode.url);
+    const totalEpisodesCount = episodes.length;
+    // Snapshot the rules so a resumed or retried download keeps processing chapters the same way
+    const textRules = options.textRules || loadTextRules(episodes.length > 0 ? findSiteAdapter(episodes[0].url)?.id : undefined);
+    const metadata = normalizeNovelMetadata(options.metadata);
+
+    // Persist the job so it can be resumed if the tab crashes or the download is cancelled
+    let jobId = options.resumeJobId || null;
+    let storedChapters = new Map();
+    try {
+        if (jobId) {
+            storedChapters = await getJobChapterSummaries(jobId);
+            await updateDownloadJob(jobId, { status: "running", updatedAt: Date.now() });
+            console.log(`[processDownloadCore] Resuming job ${jobId} with ${storedChapters.size} stored chapters.`);
+        } else {
+            jobId = generateUuid();
+            await saveDownloadJob({
+                id: jobId,
+                title,
+                episodes,
+                delayMs,
+                saveMode,
+                originalFileNameForReport,
+                initialStartEpisode,
+                initialEndEpisode,
+                options: {
+                    concurrency: options.concurrency,
+                    maxAttempts: options.maxAttempts,
+                    captchaTimeoutMs: options.captchaTimeoutMs,
+                    sourceUrl: options.sourceUrl,
+                    downloadImages: options.downloadImages,
+                    typography: options.typography,
+                    textRules,
+                    metadata,
+                    trackInLibrary: options.trackInLibrary,
+                    volume: options.volume,
+                    splitChapters: options.splitChapters,
+                    splitSizeMb: options.splitSizeMb,
+                },
+                status: "running",
+                createdAt: Date.now(),
+                updatedAt: Date.now(),
+            });
         }
+    } catch (e) {
+        console.warn("[processDownloadCore] IndexedDB unavailable, this download will not be resumable:", e);
+        jobId = null;
+    }
+    if (jobId) {
+        activeDownloadJobIds.add(jobId);
     }
-
-    const totalEpisodesCount = episodeUrlsToProcess.length;
 
     const isBusyRef = { value: true }; // Used by createModal for cancellation confirmation
     const {
@@ -801,12 +2163,25 @@ async function processDownloadCore(
         timeRemaining,
         progressBar,
         detailedProgress,
-        closeButton
-    } = createModal(`Downloading "${title}"`, isBusyRef);
-
-    document.body.appendChild(modal);
+        closeButton,
+        pauseButton,
+        stopButton,
+        chapterLog,
+    } = createModal(`Downloading "${title}"`, isBusyRef, `${sanitizeFilename(title)}_log.txt`);
+
+    // Queued downloads report their progress in the queue panel instead
+    if (!options.background) {
+        document.body.appendChild(modal);
+    }
+    if (options.onChapterLog) options.onChapterLog(chapterLog);
 
     let isDownloadCancelled = false; // Flag to allow cancellation mid-download
+    if (options.signal) {
+        isDownloadCancelled = options.signal.aborted;
+        options.signal.addEventListener("abort", () => {
+            isDownloadCancelled = true;
+        });
+    }
 
     // Modify close button behavior for busy state
     closeButton.onclick = () => {
@@ -817,125 +2192,882 @@ async function processDownloadCore(
     };
 
     // Progress tracker initialization
-    const progressTracker = createProgressTracker(totalEpisodesCount);
-    let novelText = `${title}\n\nDownloaded with novel-dl,\nhttps://github.com/yeorinhieut/novel-dl\n\n`;
-    let completedEpisodes = 0;
-    let skippedChapters = []; // For 403 (captcha)
-    let incompleteChapters = []; // For network errors, no content, or abrupt ending
-
-    statusElement.textContent = "Preparing download...";
-
-    for (let i = 0; i < episodeUrlsToProcess.length; i++) {
-        if (isDownloadCancelled) {
-            console.log("[processDownloadCore] Download cancelled by user.");
-            break; // Exit loop if cancelled
+    const concurrency = Math.min(Math.max(Number.parseInt(options.concurrency, 10) || 1, 1), MAX_CONCURRENCY);
+    const progressTracker = createProgressTracker(totalEpisodesCount, concurrency);
+    const { limiter: rateLimiter, release: releaseRateLimiter } = acquireSharedRateLimiter(delayMs, concurrency);
+    const maxAttempts = Math.max(Number.parseInt(options.maxAttempts, 10) || DEFAULT_MAX_ATTEMPTS, 1);
+    let retryCount = 0;
+    const captchaTimeoutMs = Math.max(Number(options.captchaTimeoutMs) || 0, 0);
+    const pauseController = options.pauseController || createPauseController();
+    let captchaPrompt = null; // Shared by all workers while the CAPTCHA modal is open
+    let isPausedByUser = false;
+    let isStopRequested = false; // "Stop and Save": no new chapters, but the output is still produced
+
+    // Pausing lets the chapters already being fetched finish; workers then wait before claiming the next one
+    pauseButton.onclick = () => {
+        if (isPausedByUser) {
+            isPausedByUser = false;
+            // A pending CAPTCHA keeps the download paused until it is answered
+            if (!captchaPrompt) {
+                pauseController.resume();
+            }
+            pauseButton.textContent = "Pause";
+            statusElement.textContent = "▶️ Resuming download...";
+            console.log("[processDownloadCore] Download resumed by user.");
+        } else {
+            isPausedByUser = true;
+            pauseController.pause();
+            pauseButton.textContent = "Resume";
+            statusElement.textContent = "⏸️ Paused. Chapters already in progress will finish first.";
+            console.log("[processDownloadCore] Download paused by user.");
         }
+    };
 
-        const episodeUrl = episodeUrlsToProcess[i];
-        // For initial download, we can derive the episode number. For retries, it's just the URL index.
-        const displayEpisodeNumber = (initialStartEpisode !== undefined && initialEndEpisode !== undefined)
-            ? (episodeUrlsToProcess.length - 1 - i) + initialStartEpisode // This logic needs to be verified based on how episodeLinks are ordered.
-            : `Link ${i + 1}`; // For retries, just show link number
+    stopButton.onclick = () => {
+        showConfirmationModal(
+            "Stop and Save",
+            "Stop downloading and save the chapters downloaded so far? The remaining chapters will be listed as pending in the report.",
+            () => {
+                isStopRequested = true;
+                isPausedByUser = false;
+                if (!captchaPrompt) {
+                    pauseController.resume(); // Let paused workers notice the stop
+                }
+                pauseButton.disabled = true;
+                stopButton.disabled = true;
+                statusElement.textContent = "⏹️ Stopping after the chapters in progress...";
+                console.log("[processDownloadCore] Stop and save requested by user.");
+            },
+        );
+    };
+    // A single TXT file has nowhere to put illustrations
+    const downloadImages = Boolean(options.downloadImages) && saveMode !== "txt";
+    const typography = TYPOGRAPHY_MODES[options.typography] ? options.typography : "keep";
+    const splitChapters = Math.max(Number.parseInt(options.splitChapters, 10) || 0, 0);
+    const splitSizeMb = options.splitSizeMb === undefined || options.splitSizeMb === null
+        ? DEFAULT_SPLIT_SIZE_MB
+        : Math.max(Number(options.splitSizeMb) || 0, 0);
+    const imageFiles = new Map(); // Output path -> {file, mediaType, size}, plus `data` for images not in IndexedDB
+    const imageRequests = new Map(); // Image URL -> Promise of {file} or {reason}, so each URL is fetched once
 
-        const currentProgressCount = i + 1;
+    /**
+     * Pauses all workers and asks the user to solve the CAPTCHA. Workers hitting a CAPTCHA
+     * while the modal is already open wait for the same decision.
+     * @param {string} episodeUrl - The blocked chapter URL.
+     * @returns {Promise<'solved'|'skipped'>} The user's decision.
+     */
+    const waitForCaptchaSolve = (episodeUrl) => {
+        if (!captchaPrompt) {
+            pauseController.pause();
+            statusElement.textContent = "⏸️ Paused: waiting for CAPTCHA to be solved...";
+            captchaPrompt = showCaptchaModal(episodeUrl, captchaTimeoutMs, () => isDownloadCancelled || isStopRequested)
+                .then((decision) => {
+                    captchaPrompt = null;
+                    // Stay paused if the user pressed Pause while the CAPTCHA modal was open
+                    if (!isPausedByUser) {
+                        pauseController.resume();
+                    }
+                    return decision;
+                });
+        }
+        return captchaPrompt;
+    };
 
-        statusElement.textContent = `Downloading Chapter ${displayEpisodeNumber}... (${currentProgressCount}/${totalEpisodesCount})`;
+    /**
+     * Fetches one illustration through the shared rate limiter and stores it under its hash.
+     * @param {string} imageUrl - The absolute image URL.
+     * @param {number} workerIndex - The worker fetching the image.
+     * @returns {Promise<{file: string}|{reason: string}>} The output path, or the failure reason.
+     */
+    const fetchImageFile = async (imageUrl, workerIndex) => {
+        const isStopped = () => isDownloadCancelled;
+        await pauseController.waitWhilePaused(isStopped);
+        await rateLimiter.acquire(workerIndex, isStopped);
+        if (isDownloadCancelled) {
+            return { reason: "Cancelled" };
+        }
+
+        const result = await fetchChapterImage(imageUrl);
+        if (result.status !== 'success') {
+            if (result.statusCode === 429 || result.statusCode >= 500) {
+                rateLimiter.reportThrottle();
+            }
+            return { reason: result.status === 'network_error' ? `Network Error (${result.statusCode})` : `Fetch Error: ${result.message}` };
+        }
+        const file = await getImageFileName(result.data, result.mediaType);
+        if (!imageFiles.has(file)) {
+            const image = { file, mediaType: result.mediaType, size: result.data.byteLength, data: result.data };
+            imageFiles.set(file, image);
+            if (jobId) {
+                try {
+                    // Stored once per job; the data is loaded again part by part when the output is generated
+                    await saveJobImage(jobId, image);
+                    imageFiles.set(file, toImageReference(image));
+                } catch (e) {
+                    console.warn(`[processDownloadCore] Failed to store image for resume: ${imageUrl}`, e);
+                }
+            }
+        }
+        return { file };
+    };
+
+    /**
+     * Downloads the illustrations of a chapter and points its image runs at the stored files.
+     * @param {object} chapter - The downloaded chapter; its document is updated in place.
+     * @param {number} workerIndex - The worker processing the chapter.
+     * @returns {Promise<Array<{url: string, reason: string}>>} The images that could not be downloaded.
+     */
+    const downloadChapterImages = async (chapter, workerIndex) => {
+        const failures = [];
+        const images = chapter.document.blocks
+            .flatMap((block) => block.children || [])
+            .filter((inline) => inline.type === "image");
+        for (const image of images) {
+            if (!image.src) {
+                continue;
+            }
+            try {
+                image.url = new URL(image.src, chapter.url).href;
+            } catch (e) {
+                failures.push({ url: image.src, reason: "Invalid URL" });
+                continue;
+            }
+            if (!imageRequests.has(image.url)) {
+                imageRequests.set(image.url, fetchImageFile(image.url, workerIndex));
+            }
+            const { file, reason } = await imageRequests.get(image.url);
+            if (file) {
+                image.file = file;
+            } else {
+                console.warn(`[processDownloadCore] Image failed (${reason}): ${image.url}`);
+                failures.push({ url: image.url, reason });
+            }
+        }
+        chapter.content = renderDocumentAsText(chapter.document);
+        // Keep references to the chapter's images so a resumed download can load them again
+        chapter.images = [...new Set(images.map((image) => image.file).filter(Boolean))].map((file) => toImageReference(imageFiles.get(file)));
+        return failures;
+    };
+
+    const outcomes = new Array(totalEpisodesCount); // Outcome per episode, kept in list order
+    let completedEpisodes = 0;
+    let skippedCount = 0; // For 403 (captcha)
+    let incompleteCount = 0; // For network errors, no content, or abrupt ending
+    let processedCount = 0;
+    let nextIndex = 0;
+
+    statusElement.textContent = "Preparing download...";
+
+    // Reuse chapters already stored by an earlier, interrupted run (their text stays in storage until saving)
+    episodes.forEach(({ url: episodeUrl, number }, i) => {
+        if (storedChapters.has(episodeUrl)) {
+            const chapter = storedChapters.get(episodeUrl);
+            outcomes[i] = { status: 'success', url: episodeUrl, number, chapter, restored: true };
+            for (const image of chapter.images || []) {
+                imageFiles.set(image.file, image); // A reference; the data stays in IndexedDB
+            }
+            completedEpisodes++;
+            processedCount++;
+        }
+    });
+
+    const updateProgress = () => {
+        const limiterState = rateLimiter.getState();
+        const stats = progressTracker.update(processedCount, limiterState.intervalMs, limiterState.concurrency);
+
+        progressBar.style.width = `${stats.progress}%`;
+        progressText.textContent = `${stats.progress}%`;
+        timeRemaining.textContent = `Time Remaining: ${stats.remaining} (done at ${stats.finishTime})`;
+
+        detailedProgress.innerHTML = `
+            <div style="margin-bottom: 4px; display: flex; justify-content: center; gap: 12px;">
+                <span>✅ Completed: ${completedEpisodes} Chapters</span>
+                <span>❌ Skipped: ${skippedCount} Chapters</span>
+                <span>⚠️ Incomplete: ${incompleteCount} Chapters</span>
+            </div>
+            <div>Elapsed Time: ${stats.elapsed} | Speed: ${stats.chaptersPerMinute} Ch/min, ${stats.kilobytesPerSecond} KB/s</div>
+            <div>Avg Fetch: ${stats.fetchTime} | Avg Wait: ${stats.waitTime}</div>
+            <div>Workers: ${limiterState.concurrency}/${concurrency} | Delay: ${(limiterState.intervalMs / 1000).toFixed(1)}s | Retries: ${retryCount}</div>
+        `;
+        if (options.onProgress) options.onProgress(processedCount, totalEpisodesCount);
+    };
+
+    /**
+     * Fetches a single episode and records its outcome at its position in the list.
+     * @param {number} i - Index of the episode in the episode list.
+     * @param {number} workerIndex - The worker processing the episode.
+     * @param {{waitMs: number, intervalMs: number}} tokenWait - How long the worker waited for its rate limiter token,
+     * and the limiter interval at the time.
+     */
+    const processEpisode = async (i, workerIndex, tokenWait) => {
+        const { url: episodeUrl, number: episodeNumber } = episodes[i];
+        const startedAt = Date.now();
+        // Retries from a text report have no episode numbers, so show the link number instead
+        const displayEpisodeNumber = episodeNumber ?? `Link ${i + 1}`;
+
+        statusElement.textContent = `Downloading Chapter ${displayEpisodeNumber}... (${processedCount + 1}/${totalEpisodesCount})`;
+
+        let result;
+        let retried = 0;
+        let backoffMs = 0; // Waiting between attempts, kept apart from the fetch time for the ETA
+        let captchaWaitMs = 0;
+        const isStopped = () => isDownloadCancelled;
+        // Every further request for the chapter takes a token too, so retries keep to the shared interval.
+        // It is taken as worker 0: a backoff may have parked this worker, but the chapter it holds must still finish.
+        const acquireRetryToken = async () => {
+            const waitStartedAt = Date.now();
+            await pauseController.waitWhilePaused(isStopped);
+            await rateLimiter.acquire(0, isStopped);
+            backoffMs += Date.now() - waitStartedAt;
+        };
+        while (true) {
+            result = await fetchNovelContentWithRetry(episodeUrl, maxAttempts, {
+                isStopped,
+                beforeAttempt: acquireRetryToken,
+                onRetry: (failedResult, attempt, retryDelay) => {
+                    retryCount++;
+                    backoffMs += retryDelay;
+                    if (failedResult.statusCode === 429 || failedResult.statusCode >= 500) {
+                        rateLimiter.reportThrottle();
+                    }
+                    statusElement.textContent = `Retrying Chapter ${displayEpisodeNumber} in ${formatTime(retryDelay)} (attempt ${attempt + 1}/${maxAttempts})...`;
+                },
+            });
+            retried += result.attempts - 1;
 
-        const result = await fetchNovelContent(episodeUrl);
+            if (result.status !== 'captcha' || isDownloadCancelled) {
+                break;
+            }
+            // Pause the whole queue until the user solves the CAPTCHA, then fetch the same chapter again
+            rateLimiter.reportThrottle();
+            const captchaStartedAt = Date.now();
+            const decision = await waitForCaptchaSolve(episodeUrl);
+            captchaWaitMs += Date.now() - captchaStartedAt;
+            if (decision !== 'solved') {
+                break;
+            }
+            console.log(`[processDownloadCore] CAPTCHA solved, re-fetching: ${episodeUrl}`);
+            statusElement.textContent = `Re-downloading Chapter ${displayEpisodeNumber}...`;
+            retried++;
+            await acquireRetryToken();
+            if (isDownloadCancelled) {
+                break;
+            }
+        }
 
         if (result.status === 'success') {
-            const { episodeTitle: fetchedEpisodeTitle, content } = result;
+            const { episodeTitle: fetchedEpisodeTitle, content, document: chapterDocument } = result;
             console.log(`[processDownloadCore] Episode download successful: ${fetchedEpisodeTitle}`);
 
-            if (saveAsZip) {
-                zip.file(`${sanitizeFilename(fetchedEpisodeTitle)}.txt`, content);
-            } else {
-                novelText += `\n\n--- ${fetchedEpisodeTitle} ---\n\n${content}`;
+            const chapter = {
+                url: episodeUrl,
+                number: episodeNumber,
+                episodeTitle: fetchedEpisodeTitle,
+                content,
+                document: chapterDocument,
+                fetchedAt: Date.now(),
+            };
+            normalizeChapterTypography(chapter, typography);
+            applyTextRules(chapter, textRules);
+            let imageFailures = [];
+            if (downloadImages) {
+                statusElement.textContent = `Downloading illustrations for Chapter ${displayEpisodeNumber}...`;
+                imageFailures = await downloadChapterImages(chapter, workerIndex);
+                if (isDownloadCancelled) {
+                    return; // Don't store a chapter with half of its images
+                }
+            }
+            outcomes[i] = { status: 'success', url: episodeUrl, chapter, retried, imageFailures };
+            if (jobId) {
+                try {
+                    await saveJobChapter(jobId, chapter);
+                    // Keep only a summary in memory; the output is generated from storage
+                    outcomes[i].chapter = toStoredChapterSummary(chapter);
+                } catch (e) {
+                    console.warn(`[processDownloadCore] Failed to store chapter for resume: ${episodeUrl}`, e);
+                }
             }
             completedEpisodes++;
+            rateLimiter.reportSuccess();
         } else if (result.status === 'captcha') {
             console.warn(`[processDownloadCore] CAPTCHA (403) detected, skipping: ${episodeUrl}`);
-            skippedChapters.push({ url: episodeUrl, reason: 'CAPTCHA (403)' });
+            outcomes[i] = { status: 'skipped', url: episodeUrl, reason: 'CAPTCHA (403)', retried };
+            skippedCount++;
         } else if (result.status === 'network_error') {
             console.error(`[processDownloadCore] Network error (${result.statusCode}), skipping: ${episodeUrl}`);
-            incompleteChapters.push({ url: episodeUrl, reason: `Network Error (${result.statusCode})` });
+            outcomes[i] = { status: 'incomplete', url: episodeUrl, reason: `Network Error (${result.statusCode})`, retried };
+            incompleteCount++;
+            // Too Many Requests and server errors mean we are going too fast
+            if (result.statusCode === 429 || result.statusCode >= 500) {
+                rateLimiter.reportThrottle();
+            }
         } else if (result.status === 'no_content_found') {
             console.error(`[processDownloadCore] No content found, skipping: ${episodeUrl}`);
-            incompleteChapters.push({ url: episodeUrl, reason: 'No Content Found' });
+            outcomes[i] = { status: 'incomplete', url: episodeUrl, reason: 'No Content Found', retried };
+            incompleteCount++;
         } else if (result.status === 'fetch_error') {
             console.error(`[processDownloadCore] Fetch error, skipping: ${episodeUrl} - ${result.message}`);
-            incompleteChapters.push({ url: episodeUrl, reason: `Fetch Error: ${result.message}` });
+            outcomes[i] = { status: 'incomplete', url: episodeUrl, reason: `Fetch Error: ${result.message}`, retried };
+            incompleteCount++;
         }
 
-        const stats = progressTracker.update(currentProgressCount);
+        if (outcomes[i]) {
+            outcomes[i].number = episodeNumber;
+            outcomes[i].startedAt = startedAt;
+            outcomes[i].finishedAt = Date.now();
+            // The same backoff-free time feeds the log and the time estimate
+            const fetchMs = Math.max(0, outcomes[i].finishedAt - startedAt - backoffMs - captchaWaitMs);
+            chapterLog.append({
+                number: episodeNumber ?? null,
+                url: episodeUrl,
+                episodeTitle: outcomes[i].chapter ? outcomes[i].chapter.episodeTitle : null,
+                status: toChapterLogStatus(result.status),
+                reason: outcomes[i].reason || null,
+                bytes: outcomes[i].chapter ? getChapterOutputSize(outcomes[i].chapter) : null,
+                fetchMs,
+                finishedAt: outcomes[i].finishedAt,
+            });
+            const imageBytes = (outcomes[i].chapter?.images || [])
+                .reduce((sum, image) => sum + (image.size || 0), 0);
+            progressTracker.recordChapter({
+                fetchMs,
+                waitMs: tokenWait.waitMs,
+                backoffMs,
+                intervalMs: tokenWait.intervalMs,
+                bytes: (result.bytes || 0) + imageBytes,
+            });
+        }
 
-        progressBar.style.width = `${stats.progress}%`;
-        progressText.textContent = `${stats.progress}%`;
-        timeRemaining.textContent = `Time Remaining: ${stats.remaining}`;
+        processedCount++;
+        updateProgress();
+        if (isStopRequested) {
+            statusElement.textContent = "⏹️ Stopping after the chapters in progress...";
+        } else if (isPausedByUser) {
+            statusElement.textContent = "⏸️ Paused. Press Resume to continue.";
+        }
+    };
 
-        detailedProgress.innerHTML = `
-            <div style="margin-bottom: 4px; display: flex; justify-content: center; gap: 12px;">
-                <span>✅ Completed: ${completedEpisodes} Chapters</span>
-                <span>❌ Skipped: ${skippedChapters.length} Chapters</span>
-                <span>⚠️ Incomplete: ${incompleteChapters.length} Chapters</span>
-            </div>
-            <div>Elapsed Time: ${stats.elapsed} | Processing Speed: ${stats.speed} Ch/s</div>
-        `;
+    /**
+     * Worker loop: waits for a rate limiter token, then claims and processes the next pending episode.
+     * @param {number} workerIndex - Zero-based worker number, used by the limiter to park surplus workers.
+     */
+    const runWorker = async (workerIndex) => {
+        const isStopped = () => isDownloadCancelled || isStopRequested || nextIndex >= totalEpisodesCount;
+        while (!isStopped()) {
+            await pauseController.waitWhilePaused(isStopped);
+            const waitStartedAt = Date.now();
+            const { intervalMs } = rateLimiter.getState();
+            await rateLimiter.acquire(workerIndex, isStopped);
+            const tokenWait = { waitMs: Date.now() - waitStartedAt, intervalMs };
+            await pauseController.waitWhilePaused(isStopped);
+
+            // Skip episodes restored from storage
+            while (nextIndex < totalEpisodesCount && outcomes[nextIndex]) {
+                nextIndex++;
+            }
+            if (isStopped()) {
+                break;
+            }
+            await processEpisode(nextIndex++, workerIndex, tokenWait);
+        }
+    };
 
-        // Add configurable delay to prevent rate limiting
-        await new Promise((r) => setTimeout(r, delayMs));
+    await Promise.all(Array.from({ length: concurrency }, (_, workerIndex) => runWorker(workerIndex)));
+
+    if (isDownloadCancelled) {
+        console.log("[processDownloadCore] Download cancelled by user.");
     }
 
     isBusyRef.value = false; // Download finished or cancelled
+    pauseButton.disabled = true;
+    stopButton.disabled = true;
+    if (jobId) {
+        activeDownloadJobIds.delete(jobId);
+    }
 
     console.log("[processDownloadCore] Download loop finished", {
         completedEpisodes,
-        skippedChaptersCount: skippedChapters.length,
-        incompleteChaptersCount: incompleteChapters.length,
+        skippedChaptersCount: skippedCount,
+        incompleteChaptersCount: incompleteCount,
     });
 
-    if (isDownloadCancelled) {
+    /**
+     * Ends a cancelled download without generating output. Stored chapters are kept for resuming.
+     * @returns {Promise<{status: string}>} The cancelled result.
+     */
+    const finishCancelledDownload = async () => {
         statusElement.textContent = "Download Cancelled.";
-        showNotification("Download Cancelled", "The download was cancelled by the user.");
-        document.body.removeChild(modal);
-        return;
+        if (jobId) {
+            try {
+                await updateDownloadJob(jobId, { status: "interrupted", updatedAt: Date.now() });
+            } catch (e) {
+                console.warn("[processDownloadCore] Failed to mark job as interrupted:", e);
+            }
+        }
+        showNotification(
+            "Download Cancelled",
+            jobId
+                ? "The download was cancelled. Downloaded chapters were kept and can be resumed from the menu."
+                : "The download was cancelled by the user.",
+        );
+        if (modal.parentNode) {
+            document.body.removeChild(modal);
+        }
+        releaseRateLimiter();
+        return { status: "cancelled" };
+    };
+
+    if (isDownloadCancelled) {
+        return finishCancelledDownload();
+    }
+
+    // Splice the recovered chapters back into the original download when merging a retry
+    let reportEpisodes = episodes;
+    let reportOutcomes = outcomes;
+    let outputRange = { start: initialStartEpisode, end: initialEndEpisode };
+    if (options.mergeBase) {
+        ({ episodes: reportEpisodes, outcomes: reportOutcomes } = mergeRetryOutcomes(
+            options.mergeBase,
+            episodeUrls,
+            outcomes,
+        ));
+        outputRange = options.mergeBase.range;
+        for (const image of options.mergeBase.images || []) {
+            imageFiles.set(image.file, image);
+        }
+        console.log("[processDownloadCore] Merged retry into original download", { total: reportEpisodes.length });
+    }
+    // A picker selection with gaps is not the full range its first and last chapter suggest
+    const requestedNumbers = new Set(reportEpisodes.map((episode) => episode.number));
+    const canDetectGaps = reportEpisodes.every((episode) => episode.number !== null && episode.number !== undefined);
+    const formatRangeSuffix = (start, end) => {
+        if (start === undefined || start === null || end === undefined || end === null) {
+            return '';
+        }
+        for (let number = start; canDetectGaps && number <= end; number++) {
+            if (!requestedNumbers.has(number)) {
+                return `(${start}~${end}, partial)`;
+            }
+        }
+        return `(${start}~${end})`;
+    };
+    const rangeSuffix = formatRangeSuffix(outputRange.start, outputRange.end);
+    // Incremental library downloads are numbered so each volume gets its own files
+    const outputBaseName = sanitizeFilename(options.volume ? `${title} Vol. ${options.volume}` : title);
+
+    const skippedChapters = reportOutcomes.filter((outcome) => outcome?.status === 'skipped');
+    const incompleteChapters = reportOutcomes.filter((outcome) => outcome?.status === 'incomplete');
+    // Chapters never fetched because the user chose "Stop and Save" (or an earlier merge left them out)
+    const pendingChapters = reportEpisodes
+        .map((episode, position) => ({ ...episode, position }))
+        .filter(({ position }) => !reportOutcomes[position])
+        .map(({ url, number }) => ({ url, number, reason: 'Not downloaded', retried: 0 }));
+    completedEpisodes = reportOutcomes.filter((outcome) => outcome?.status === 'success').length;
+
+    // A single TXT file has nowhere to put the cover either
+    let cover = null;
+    let coverFailure = null;
+    if (metadata.coverUrl && saveMode !== "txt") {
+        statusElement.textContent = "Downloading cover image...";
+        // The cover comes from the same site, so it waits for a token like every other request
+        const isStopped = () => isDownloadCancelled;
+        await pauseController.waitWhilePaused(isStopped);
+        await rateLimiter.acquire(0, isStopped);
+        const result = isDownloadCancelled ? { reason: "Cancelled" } : await fetchCoverImage(metadata.coverUrl);
+        if (result.file) {
+            cover = result;
+        } else {
+            coverFailure = result.reason;
+            console.warn(`[processDownloadCore] Cover image failed: ${result.reason}`);
+        }
+    }
+    releaseRateLimiter(); // No more requests to the site from here on
+    if (isDownloadCancelled) {
+        // Cancelled while waiting for the cover
+        console.log("[processDownloadCore] Download cancelled by user.");
+        return finishCancelledDownload();
+    }
+
+    // Only file names are decided here; the chapters are written part by part when the output is saved.
+    // ZIP entries are prefixed with the zero-padded chapter number so they sort in reading order.
+    // Chapters without a known number (retries from a text report) use their position instead.
+    const ordinalWidth = String(Math.max(
+        reportOutcomes.length,
+        ...reportEpisodes.map((episode) => episode.number ?? 0),
+    )).length;
+    const usedFileNames = new Set();
+    const duplicateFileNames = [];
+    const titleCounts = new Map();
+    const successOutcomes = [];
+    for (const [position, outcome] of reportOutcomes.entries()) {
+        if (outcome?.status !== 'success') {
+            continue;
+        }
+        const { chapter } = outcome;
+        titleCounts.set(chapter.episodeTitle, (titleCounts.get(chapter.episodeTitle) || 0) + 1);
+        if (saveMode === "zip" || saveMode === "md") {
+            const extension = saveMode === "md" ? "md" : "txt";
+            const ordinal = String(reportEpisodes[position].number ?? position + 1).padStart(ordinalWidth, "0");
+            const baseName = `${ordinal} - ${sanitizeFilename(chapter.episodeTitle)}`;
+            let fileName = `${baseName}.${extension}`;
+            for (let suffix = 2; usedFileNames.has(fileName); suffix++) {
+                fileName = `${baseName} (${suffix}).${extension}`;
+            }
+            if (fileName !== `${baseName}.${extension}`) {
+                console.warn(`[processDownloadCore] Duplicate file name, saved as: ${fileName}`);
+                duplicateFileNames.push({ url: outcome.url, fileName });
+            }
+            usedFileNames.add(fileName);
+            outcome.fileName = fileName;
+        }
+        successOutcomes.push(outcome);
     }
 
-    statusElement.textContent = "✅ Download Complete, generating file...";
+    // Large novels are split into parts, so no single file has to be generated (or opened) in one go
+    const outputParts = splitIntoOutputParts(
+        successOutcomes,
+        (outcome) => getChapterOutputSize(outcome.chapter),
+        splitChapters,
+        splitSizeMb * 1024 * 1024,
+    );
+    if (outputParts.length > 1) {
+        console.log(`[processDownloadCore] Output split into ${outputParts.length} parts.`);
+    }
+    const getPartLabel = (partIndex) => (outputParts.length > 1 ? ` Part ${partIndex + 1}` : "");
+    // Images no chapter points at (e.g. carried over from a merged download) go into the first part
+    const referencedImageFiles = new Set(successOutcomes.flatMap((outcome) => (outcome.chapter.images || []).map((image) => image.file)));
+    const unreferencedImageFiles = [...imageFiles.keys()].filter((file) => !referencedImageFiles.has(file));
+
+    statusElement.textContent = isStopRequested
+        ? "⏹️ Download Stopped, generating file..."
+        : "✅ Download Complete, generating file...";
     progressBar.style.width = "100%";
     progressText.textContent = "100%";
 
     // Generate the skipped/incomplete chapters report
     let reportContent = `--- Skipped Chapters (CAPTCHA / 403) ---\n`;
     if (skippedChapters.length > 0) {
-        reportContent += skippedChapters.map(item => `URL: ${item.url} (Reason: ${item.reason})`).join('\n') + '\n';
+        reportContent += skippedChapters.map(formatReportLine).join('\n') + '\n';
     } else {
         reportContent += 'No chapters skipped due to CAPTCHA.\n';
     }
 
     reportContent += `\n--- Incomplete/Failed Chapters ---\n`;
     if (incompleteChapters.length > 0) {
-        reportContent += incompleteChapters.map(item => `URL: ${item.url} (Reason: ${item.reason})`).join('\n') + '\n';
+        reportContent += incompleteChapters.map(formatReportLine).join('\n') + '\n';
     } else {
         reportContent += 'No chapters incomplete or failed.\n';
     }
 
-    const reportFileName = `${sanitizeFilename(title)}${originalFileNameForReport ? `_retry_of_${sanitizeFilename(originalFileNameForReport)}` : ''}_report.txt`;
+    if (pendingChapters.length > 0) {
+        // These use the same "URL: " lines as failures, so a text report retry fetches them too
+        reportContent += `\n--- Pending Chapters (not downloaded) ---\n`;
+        reportContent += pendingChapters.map(formatReportLine).join('\n') + '\n';
+    }
 
-    if (saveAsZip) {
-        zip.file(reportFileName, reportContent);
-    } else {
-        // If not saving as zip, create a separate blob for the report
-        const reportBlob = new Blob([reportContent], { type: "text/plain" });
-        const a = document.createElement("a");
-        a.href = URL.createObjectURL(reportBlob);
-        a.download = reportFileName;
-        a.click();
+    const recoveredCount = reportOutcomes.filter((outcome) => outcome?.status === 'success' && outcome.retried > 0).length;
+    reportContent += `\n--- Retries ---\n`;
+    reportContent += `Max attempts per chapter: ${maxAttempts}\n`;
+    reportContent += `Chapters recovered after retrying: ${recoveredCount}\n`;
+
+    const duplicateTitles = [...titleCounts].filter(([, count]) => count > 1);
+    if (duplicateTitles.length > 0 || duplicateFileNames.length > 0) {
+        reportContent += `\n--- Duplicates ---\n`;
+        for (const [episodeTitle, count] of duplicateTitles) {
+            reportContent += `Title "${episodeTitle}" appears ${count} times\n`;
+        }
+        for (const { url, fileName } of duplicateFileNames) {
+            reportContent += `Renamed to avoid a collision: ${fileName} (${url})\n`;
+        }
+    }
+
+    if (downloadImages) {
+        // Image lines must not start with "URL: ", or a text report retry would fetch them as chapters
+        const imageFailureLines = reportOutcomes
+            .filter((outcome) => outcome?.imageFailures?.length > 0)
+            .flatMap((outcome) => outcome.imageFailures.map((failure) =>
+                `Chapter: ${outcome.chapter.episodeTitle} | Image: ${failure.url} (Reason: ${failure.reason})`));
+        reportContent += `\n--- Illustrations ---\n`;
+        reportContent += `Images saved: ${imageFiles.size}\n`;
+        reportContent += imageFailureLines.length > 0
+            ? imageFailureLines.join('\n') + '\n'
+            : 'No images failed.\n';
+    }
+
+    if (coverFailure) {
+        // Like image lines, this must not start with "URL: "
+        reportContent += `\n--- Cover ---\n`;
+        reportContent += `Cover image: ${metadata.coverUrl} (Reason: ${coverFailure})\n`;
+    }
+
+    // A merged retry produces a complete download again, so its report is named like a fresh one
+    const reportBaseName = `${outputBaseName}${originalFileNameForReport && !options.mergeBase ? `_retry_of_${sanitizeFilename(originalFileNameForReport)}` : ''}_report`;
+    const reportFileName = `${reportBaseName}.txt`;
+    const jsonReportFileName = `${reportBaseName}.json`;
+    const jsonReportContent = JSON.stringify(buildJsonReport({
+        title,
+        sourceUrl: options.sourceUrl,
+        originalFileNameForReport,
+        initialStartEpisode: outputRange.start,
+        initialEndEpisode: outputRange.end,
+        settings: {
+            delayMs,
+            saveMode,
+            concurrency,
+            maxAttempts,
+            captchaTimeoutMs,
+            downloadImages,
+            typography,
+            textRules,
+            splitChapters,
+            splitSizeMb,
+        },
+        metadata,
+        episodes: reportEpisodes,
+        outcomes: reportOutcomes,
+        textPositions: saveMode === "txt"
+            ? getTextChapterPositions(outputParts, outputParts.map((_, partIndex) => `${title}${getPartLabel(partIndex)}`), metadata)
+            : undefined,
+    }), null, 2);
+
+    /**
+     * Loads the full chapters of one output part. Stored chapters are read back from IndexedDB,
+     * so only one part is held in memory at a time.
+     * @param {Array<object>} partOutcomes - The successful outcomes in the part.
+     * @returns {Promise<Array<object>>} The chapters, in the same order.
+     */
+    const loadPartChapters = async (partOutcomes) => {
+        const storedUrls = partOutcomes.filter((outcome) => outcome.chapter.stored).map((outcome) => outcome.url);
+        const loadedChapters = storedUrls.length > 0 ? await getStoredJobChapters(jobId, storedUrls) : new Map();
+        return partOutcomes.map((outcome) => {
+            if (!outcome.chapter.stored) {
+                return outcome.chapter;
+            }
+            const chapter = loadedChapters.get(outcome.url);
+            if (!chapter) {
+                throw new Error(`Stored chapter is missing: ${outcome.url}`);
+            }
+            return chapter;
+        });
+    };
+
+    /**
+     * Loads the illustrations used by the chapters of one output part. Images stored in IndexedDB
+     * are read back here, so only one part's images are held in memory at a time.
+     * @param {number} partIndex - Zero-based part number.
+     * @param {Array<object>} partChapters - The chapters in the part.
+     * @returns {Promise<Array<{file: string, mediaType: string, data: ArrayBuffer}>>} The image files for the part.
+     */
+    const getPartImages = async (partIndex, partChapters) => {
+        let files;
+        if (outputParts.length === 1) {
+            files = [...imageFiles.keys()];
+        } else {
+            files = [...new Set(partChapters.flatMap((chapter) => (chapter.images || []).map((image) => image.file)))];
+            if (partIndex === 0) {
+                files.push(...unreferencedImageFiles);
+            }
+        }
+        const storedFiles = files.filter((file) => imageFiles.has(file) && !imageFiles.get(file).data);
+        const loadedImages = storedFiles.length > 0 ? await getStoredJobImages(jobId, storedFiles) : new Map();
+        return files.flatMap((file) => {
+            const image = imageFiles.get(file)?.data ? imageFiles.get(file) : loadedImages.get(file);
+            if (!image) {
+                console.warn(`[processDownloadCore] Stored image is missing, leaving it out: ${file}`);
+                return [];
+            }
+            return [image];
+        });
+    };
+
+    /**
+     * Generates the output files part by part and hands them to the browser. Browsers block repeated
+     * downloads that don't come from a click, so each part is saved from its own click: the first one
+     * (with the reports, outside ZIP modes) from the Download button, every further part from `requestSave`'s
+     * button once the previous one is saved. A queued download saves its first part by itself only if it
+     * is a single file.
+     * Once every part is saved, the stored job is deleted and the download is recorded in the library.
+     * @param {function(string): void} [onSaveProgress] - Receives a short progress text while files are generated.
+     * @param {function(string, function(): void): Promise<boolean>} requestSave - Shows a button with the given label
+     * that calls the save function when clicked; resolves true once clicked, or false if the user gave up.
+     * @returns {Promise<boolean>} True if every part was saved.
+     */
+    const saveOutput = async (onSaveProgress, requestSave) => {
+        const isSplit = outputParts.length > 1;
+        let description;
+        for (const [partIndex, partOutcomes] of outputParts.entries()) {
+            const reportProgress = (percent) => {
+                const text = `Generating${isSplit ? ` part ${partIndex + 1}/${outputParts.length}` : ""}... ${Math.floor(percent)}%`;
+                if (onSaveProgress) onSaveProgress(text);
+                if (options.onSaveProgress) options.onSaveProgress(text);
+            };
+            reportProgress(0);
+
+            const partChapters = await loadPartChapters(partOutcomes);
+            const partImages = await getPartImages(partIndex, partChapters);
+            const partLabel = getPartLabel(partIndex);
+            // The same novel keeps its reader bookmarks and EPUB identifier when it is exported again
+            const bookId = generateNameBasedUuid(getBookIdName(title, options.sourceUrl, {
+                volume: options.volume,
+                range: outputRange,
+                part: isSplit ? partIndex + 1 : undefined,
+            }));
+            const partTitle = `${title}${partLabel}`;
+            const partBaseName = `${outputBaseName}${partLabel}`;
+            let partRangeSuffix = rangeSuffix;
+            if (isSplit) {
+                partRangeSuffix = formatRangeSuffix(partOutcomes[0]?.number, partOutcomes[partOutcomes.length - 1]?.number);
+            }
+
+            let blob;
+            let fileName;
+            if (saveMode === "epub") {
+                const zip = createZipArchive();
+                buildEpub(zip, partTitle, partChapters, reportContent, partImages, metadata, cover, bookId);
+                const sink = await createOutputSink("application/epub+zip");
+                await writeZipToSink(zip, sink, { mimeType: "application/epub+zip", compression: "DEFLATE" }, reportProgress);
+                blob = await sink.close();
+                fileName = `${partBaseName}${partRangeSuffix}.epub`;
+                description = "an EPUB book";
+            } else if (savesToZip) {
+                const zip = createZipArchive();
+                if (saveMode === "md-combined") {
+                    zip.file(`${sanitizeFilename(partTitle)}.md`, buildMarkdownCombinedFile(partTitle, options.sourceUrl, partChapters, metadata, cover));
+                } else {
+                    partChapters.forEach((chapter, index) => {
+                        zip.file(partOutcomes[index].fileName, saveMode === "md" ? buildMarkdownChapterFile(title, chapter) : chapter.content);
+                    });
+                }
+                if (saveMode === "md") {
+                    const indexEntries = partChapters.map((chapter, index) => ({ fileName: partOutcomes[index].fileName, chapter }));
+                    zip.file("index.md", buildMarkdownIndex(partTitle, options.sourceUrl, indexEntries, metadata, cover));
+                }
+                for (const image of partImages) {
+                    zip.file(image.file, image.data);
+                }
+                if (cover) {
+                    zip.file(cover.file, cover.data);
+                }
+                zip.file("metadata.json", buildMetadataJson(partTitle, options.sourceUrl, metadata, cover, partChapters.length));
+                zip.file(reportFileName, reportContent);
+                zip.file(jsonReportFileName, jsonReportContent);
+
+                const sink = await createOutputSink("application/zip");
+                await writeZipToSink(zip, sink, {}, reportProgress);
+                blob = await sink.close();
+                fileName = `${partBaseName}.zip`;
+                const contentsDescription = {
+                    zip: "individual text files",
+                    md: "individual Markdown files",
+                    "md-combined": "a single Markdown file",
+                }[saveMode];
+                description = `a ZIP file containing ${contentsDescription}`;
+            } else if (saveMode === "html") {
+                const sink = await createOutputSink("text/html");
+                await sink.write(buildHtmlReader(partTitle, partChapters, partImages, metadata, cover, bookId));
+                reportProgress(100);
+                blob = await sink.close();
+                fileName = `${partBaseName}${partRangeSuffix}.html`;
+                description = "an offline reader page";
+            } else {
+                const sink = await createOutputSink("text/plain");
+                await sink.write(buildTextFileHeader(partTitle, metadata));
+                for (const [index, chapter] of partChapters.entries()) {
+                    await sink.write(`${formatTextChapterHeading(chapter.episodeTitle)}${chapter.content}`);
+                    reportProgress(((index + 1) / partChapters.length) * 100);
+                }
+                blob = await sink.close();
+                fileName = `${partBaseName}${partRangeSuffix}.txt`;
+                description = "a single text file";
+            }
+
+            const files = [{ blob, fileName }];
+            if (partIndex === 0 && !savesToZip) {
+                // ZIP modes carry the reports inside every part; the other modes hand them out with the first part
+                files.push(
+                    { blob: new Blob([reportContent], { type: "text/plain" }), fileName: reportFileName },
+                    { blob: new Blob([jsonReportContent], { type: "application/json" }), fileName: jsonReportFileName },
+                );
+            }
+            const saveFile = () => {
+                for (const file of files) {
+                    const a = document.createElement("a");
+                    a.href = URL.createObjectURL(file.blob);
+                    a.download = file.fileName;
+                    a.click();
+                }
+                releaseOutputFile(blob);
+            };
+            // The first part of an interactive download is saved from the Download click; a queued download
+            // runs without one, so it only saves a single file by itself and waits for a click otherwise
+            const label = isSplit ? `Save Part ${partIndex + 1} of ${outputParts.length}` : "Save Files";
+            if (partIndex === 0 && (!options.background || files.length === 1)) {
+                saveFile();
+            } else if (!await requestSave(label, saveFile)) {
+                releaseOutputFile(blob);
+                // Keep the stored job, so the remaining parts can be generated again from the resume menu
+                console.log(`[processDownloadCore] Saving stopped before part ${partIndex + 1}.`);
+                return false;
+            }
+        }
+
+        // The output is saved, so the stored job is no longer needed for resuming
+        if (jobId) {
+            deleteDownloadJob(jobId).catch((e) => {
+                console.warn("[processDownloadCore] Failed to delete finished job:", e);
+            });
+        }
+
+        // Recorded only now: chapters marked as known are never offered by an update check again
+        if (options.trackInLibrary && options.sourceUrl) {
+            try {
+                await recordLibraryDownload({
+                    listUrl: options.sourceUrl,
+                    title,
+                    episodes: reportOutcomes
+                        .map((outcome, position) => (outcome?.status === 'success' ? reportEpisodes[position] : null))
+                        .filter(Boolean),
+                    settings: { delayMs, saveMode, concurrency, maxAttempts, captchaTimeoutMs, downloadImages, typography, splitChapters, splitSizeMb },
+                    metadata,
+                });
+            } catch (e) {
+                console.warn("[processDownloadCore] Failed to record the download in the library:", e);
+            }
+        }
+
+        const partsNote = isSplit ? ` in ${outputParts.length} parts` : "";
+        showNotification(
+            `Starting "${title}" Download`,
+            `${completedEpisodes} chapters will be saved as ${description}${partsNote}.`,
+        );
+        showChromeNotification(
+            `Starting "${title}" Download`,
+            `${completedEpisodes} chapters will be saved as ${description}${partsNote}.`,
+        );
+        return true;
+    };
+    const result = {
+        status: "done",
+        completed: completedEpisodes,
+        skipped: skippedChapters.length,
+        incomplete: incompleteChapters.length,
+        pending: pendingChapters.length,
+    };
+
+    // Queued downloads are saved right away so the next one can start; the queue asks for further parts
+    if (options.background) {
+        const isSaved = await saveOutput(undefined, options.requestSave || (async () => false));
+        if (modal.parentNode) {
+            document.body.removeChild(modal);
+        }
+        return isSaved ? result : { ...result, status: "cancelled" };
     }
 
     setTimeout(() => {
         console.log("[processDownloadCore] File generation and download button displayed.");
-        document.body.removeChild(modal);
+        if (modal.parentNode) {
+            document.body.removeChild(modal);
+        }
 
         // Create completion dialog
         const completionDialog = document.createElement("div");
@@ -983,7 +3115,7 @@ async function processDownloadCore(
 
         // Completion title
         const completionTitle = document.createElement("h3");
-        completionTitle.textContent = "Download Complete!";
+        completionTitle.textContent = isStopRequested ? "Download Stopped" : "Download Complete!";
         Object.assign(completionTitle.style, {
             color: "#172238",
             fontSize: "18px",
@@ -996,6 +3128,7 @@ async function processDownloadCore(
         completionMessage.innerHTML = `${completedEpisodes} chapters are ready for download.<br>
         ${skippedChapters.length > 0 ? `⚠️ ${skippedChapters.length} skipped (CAPTCHA)` : ''}<br>
         ${incompleteChapters.length > 0 ? `❌ ${incompleteChapters.length} incomplete/failed` : ''}
+        ${pendingChapters.length > 0 ? `<br>⏹️ ${pendingChapters.length} not downloaded (listed in the report)` : ''}
         `;
         Object.assign(completionMessage.style, {
             color: "#666",
@@ -1029,42 +3162,30 @@ async function processDownloadCore(
             downloadBtn.style.backgroundColor = "#4CAF50";
         };
 
-        downloadBtn.onclick = () => {
-            if (saveAsZip) {
-                zip.generateAsync({ type: "blob" }).then((blob) => {
-                    const a = document.createElement("a");
-                    a.href = URL.createObjectURL(blob);
-                    a.download = `${sanitizeFilename(title)}.zip`;
-                    a.click();
-
-                    showNotification(
-                        `Starting "${title}" Download`,
-                        `${completedEpisodes} chapters will be saved as a ZIP file containing individual text files.`,
-                    );
-                    showChromeNotification(
-                        `Starting "${title}" Download`,
-                        `${completedEpisodes} chapters will be saved as a ZIP file containing individual text files.`,
-                    );
-                    document.body.removeChild(completionDialog);
-                });
-            } else {
-                const blob = new Blob([novelText], { type: "text/plain" });
-                const a = document.createElement("a");
-                a.href = URL.createObjectURL(blob);
-                a.download = `${sanitizeFilename(title)}${initialStartEpisode !== undefined ? `(${initialStartEpisode}~${initialEndEpisode})` : ''}.txt`;
-                a.click();
-
-                showNotification(
-                    `Starting "${title}" Download`,
-                    `${completedEpisodes} chapters will be saved as a single text file.`,
-                );
-                showChromeNotification(
-                    `Starting "${title}" Download`,
-                    `${completedEpisodes} chapters will be saved as a single text file.`,
-                );
+        const startSave = () => {
+            downloadBtn.disabled = true;
+            saveOutput((text) => {
+                downloadBtn.textContent = text;
+            }, (label, saveFile) => new Promise((resolve) => {
+                // Each further part is saved from its own click
+                downloadBtn.textContent = label;
+                downloadBtn.disabled = false;
+                downloadBtn.onclick = () => {
+                    downloadBtn.disabled = true;
+                    saveFile();
+                    resolve(true);
+                };
+            })).then(() => {
                 document.body.removeChild(completionDialog);
-            }
+            }).catch((e) => {
+                console.error("[processDownloadCore] Failed to generate the output:", e);
+                showNotification("Save Failed", `The file could not be generated: ${e.message}`);
+                downloadBtn.disabled = false;
+                downloadBtn.textContent = "Download";
+                downloadBtn.onclick = startSave;
+            });
         };
+        downloadBtn.onclick = startSave;
 
         completionContent.appendChild(downloadBtn);
 
@@ -1129,29 +3250,34 @@ async function processDownloadCore(
         completionDialog.appendChild(completionContent);
         document.body.appendChild(completionDialog);
     }, 500);
+
+    return result;
 }
 
 /**
  * Initiates the novel download process by showing the save option dialog.
  * This is the entry point for a new download.
  * @param {string} title - The title of the novel.
- * @param {Array<string>} episodeLinks - All available episode links.
- * @param {number} startEpisode - The starting episode number for the download range.
- * @param {number} endEpisode - The ending episode number for the download range.
+ * @param {Array<{url: string, number: number}>} episodes - The chosen episodes in reading order.
+ * @param {number} startEpisode - The first chosen episode number, used to name the output.
+ * @param {number} endEpisode - The last chosen episode number, used to name the output.
  * @param {number} delayMs - Delay between fetches in milliseconds.
+ * @param {object} [options] - Additional download options passed to processDownloadCore (e.g. concurrency).
  */
 async function downloadNovel(
     title,
-    episodeLinks,
+    episodes,
     startEpisode,
     endEpisode,
     delayMs = 5000,
+    options = {},
 ) {
     console.log("[downloadNovel] Starting", {
         title,
         startEpisode,
         endEpisode,
         delayMs,
+        options,
     });
 
     // Create and show the save option dialog
@@ -1220,19 +3346,19 @@ async function downloadNovel(
         option.onclick = () => {
             document.body.removeChild(dialog);
             // Call the core processing function with the determined save type
-            // Determine the actual URLs to process based on start/end episode
-            const startingIndex = episodeLinks.length - startEpisode;
-            const endingIndex = episodeLinks.length - endEpisode;
-            const urlsToDownload = [];
-            for (let i = startingIndex; i >= endingIndex; i--) {
-                // Ensure only booktoki URLs are processed initially
-                if (episodeLinks[i].startsWith("https://booktoki")) {
-                    urlsToDownload.push(episodeLinks[i]);
-                } else {
-                    console.warn(`[downloadNovel] Skipping non-booktoki URL: ${episodeLinks[i]}`);
+            // Ensure only URLs handled by a site adapter are processed
+            const episodesToDownload = episodes.filter((episode) => {
+                if (findSiteAdapter(episode.url)) {
+                    return true;
                 }
+                console.warn(`[downloadNovel] Skipping unsupported URL: ${episode.url}`);
+                return false;
+            });
+            if (queueCheckbox.checked) {
+                enqueueDownload(title, episodesToDownload, delayMs, value, startEpisode, endEpisode, options);
+            } else {
+                processDownloadCore(title, episodesToDownload, delayMs, value, null, startEpisode, endEpisode, options);
             }
-            processDownloadCore(title, urlsToDownload, delayMs, value !== "1", null, startEpisode, endEpisode);
         };
 
         option.onmouseover = () => {
@@ -1250,21 +3376,67 @@ async function downloadNovel(
 
     optionsContainer.appendChild(
         createOption(
-            "1",
+            "txt",
             "Merge into One File",
             "All chapters will be saved into a single text file.",
         ),
     );
     optionsContainer.appendChild(
         createOption(
-            "2",
+            "zip",
             "Save Each Chapter (ZIP)",
             "Each chapter will be saved as an individual text file within a ZIP archive.",
         ),
     );
+    optionsContainer.appendChild(
+        createOption(
+            "md",
+            "Save as Markdown (ZIP)",
+            "Each chapter will be saved as a Markdown file with front matter, plus an index.md linking all chapters.",
+        ),
+    );
+    optionsContainer.appendChild(
+        createOption(
+            "md-combined",
+            "Merge into One Markdown File (ZIP)",
+            "All chapters will be saved into a single Markdown file with front matter and a table of contents.",
+        ),
+    );
+    optionsContainer.appendChild(
+        createOption(
+            "epub",
+            "Save as E-book (EPUB)",
+            "All chapters will be saved as an EPUB 3 book with a table of contents, readable on e-readers.",
+        ),
+    );
+    optionsContainer.appendChild(
+        createOption(
+            "html",
+            "Save as Offline Reader (HTML)",
+            "All chapters will be saved into a single web page with a table of contents, dark mode and remembered position.",
+        ),
+    );
 
     dialogContent.appendChild(optionsContainer);
 
+    // Queued downloads run one after another in the background, sharing one rate limiter
+    const queueLabel = document.createElement("label");
+    Object.assign(queueLabel.style, {
+        display: "flex",
+        alignItems: "center",
+        gap: "8px",
+        margin: "-12px 0 20px 0",
+        fontSize: "14px",
+        color: "#444",
+        cursor: "pointer",
+    });
+    const queueCheckbox = document.createElement("input");
+    queueCheckbox.type = "checkbox";
+    queueCheckbox.checked = hasActiveQueueJobs();
+    queueLabel.appendChild(queueCheckbox);
+    queueLabel.appendChild(document.createTextNode("Add to download queue (runs in the background)"));
+    dialogContent.appendChild(queueLabel);
+
     const cancelButton = document.createElement("button");
     cancelButton.textContent = "Cancel";
     Object.assign(cancelButton.style, {
@@ -1359,34 +3531,34 @@ async function downloadNovel(
 // Part 5: Crawler Functions
 
 /**
- * Extracts the novel title from the current page using XPath.
+ * Extracts the novel title from the current page using the matching site adapter.
  * @returns {string|null} The extracted title or null if not found.
  */
 function extractTitle() {
-    const titleElement = document.evaluate(
-        '//*[@id="content_wrapper"]/div[1]/span',
-        document,
-        null,
-        XPathResult.FIRST_ORDERED_NODE_TYPE,
-        null,
-    ).singleNodeValue;
-    return titleElement ? titleElement.textContent.trim() : null;
+    const adapter = findSiteAdapter(window.location.href);
+    return adapter ? adapter.extractNovelTitle(document) : null;
 }
 
 /**
- * Extracts all episode links from the current page.
+ * Extracts all episode links from the current page using the matching site adapter.
  * @returns {Array<string>} An array of episode URLs.
  */
 function extractEpisodeLinks() {
-    const episodeLinks = [];
-    const links = document.querySelectorAll(".item-subject");
+    const adapter = findSiteAdapter(window.location.href);
+    return adapter ? adapter.extractEpisodeLinks(document) : [];
+}
 
-    for (const link of links) {
-        const episodeLink = link.getAttribute("href");
-        episodeLinks.push(episodeLink);
+/**
+ * Extracts the episodes of a list page with their titles, if the adapter can read them.
+ * @param {SiteAdapter} adapter - The site adapter for the page.
+ * @param {Document} doc - The list page.
+ * @returns {Array<{url: string, title: string}>} The episodes in page order; titles are "" when unknown.
+ */
+function extractEpisodeList(adapter, doc) {
+    if (adapter.extractEpisodeList) {
+        return adapter.extractEpisodeList(doc);
     }
-
-    return episodeLinks;
+    return adapter.extractEpisodeLinks(doc).map((url) => ({ url, title: "" }));
 }
 
 /**
@@ -1406,36 +3578,315 @@ async function fetchPage(url) {
     return doc;
 }
 
+/** Upper bound on list pages read beyond the page count detected from the pager (if any), unless the user sets a cap. */
+const MAX_AUTO_LIST_PAGES = 100;
+
 /**
- * Main function to run the novel crawler and initiate download options.
+ * Fetches every list page of a novel and collects its episode links.
+ * Keeps requesting pages until one returns no new links or repeats the previous page. The page count
+ * detected from the pager is only a hint: windowed pagers (e.g. links to pages 1-10 of 30) show fewer
+ * pages than there are, so reading continues past it up to MAX_AUTO_LIST_PAGES. A cap set by the user always wins.
+ * @param {SiteAdapter} adapter - The site adapter for the novel.
+ * @param {string} listUrl - The novel list URL without query parameters.
+ * @param {number|null} detectedPages - The page count read from the pager, or null if unknown.
+ * @param {number|null} maxPages - Optional user-provided cap on the number of pages to read.
+ * @param {function(number, (number|null), number): void} [onProgress] - Called before each page with
+ * the page number, the known total (or null) and the number of links found so far.
+ * @returns {Promise<{links: Array<string>, titles: Map<string, string>, pageCount: number}>} The collected links,
+ * the episode titles found on the list by URL, and the number of pages read.
  */
-async function runCrawler() {
-    console.log("[runCrawler] Starting");
-    const novelPageRule = "https://booktoki";
-    let currentUrl = window.location.href;
-
-    // Clean URL by removing query parameters
-    const urlParts = currentUrl.split("?")[0];
-    currentUrl = urlParts;
+async function collectEpisodeLinks(adapter, listUrl, detectedPages, maxPages, onProgress) {
+    const pageLimit = maxPages || Math.max(detectedPages || 0, MAX_AUTO_LIST_PAGES);
+    const links = [];
+    const titles = new Map();
+    const seenLinks = new Set();
+    let previousPageKey = null;
+    let pageCount = 0;
+
+    for (let page = 1; page <= pageLimit; page++) {
+        const knownTotal = maxPages || (detectedPages && page <= detectedPages ? detectedPages : null);
+        if (onProgress) onProgress(page, knownTotal, links.length);
+
+        const pageUrl = adapter.getListPageUrl(listUrl, page);
+        console.log(`[collectEpisodeLinks] Fetching page ${page} URL:`, pageUrl);
+        const pageDoc = await fetchPage(pageUrl);
+        if (!pageDoc) {
+            console.log(`[collectEpisodeLinks] Failed to load page ${page}`);
+            // A page the pager links to may fail on its own; past the pager, a failure means the end
+            if (detectedPages && page < detectedPages) {
+                continue;
+            }
+            break;
+        }
 
-    console.log("[runCrawler] Current URL:", currentUrl);
+        const pageEpisodes = extractEpisodeList(adapter, pageDoc);
+        const pageLinks = pageEpisodes.map((episode) => episode.url);
+        const pageKey = pageLinks.join("\n");
+        const newLinks = pageLinks.filter((link) => !seenLinks.has(link));
+        console.log(`[collectEpisodeLinks] Page ${page} episode links count:`, pageLinks.length, "new:", newLinks.length);
 
-    if (!currentUrl.startsWith(novelPageRule)) {
-        showNotification("Invalid Page", "This script must be run on a BookToki novel list page.");
-        console.log("[runCrawler] Not a BookToki page, exiting.");
-        return;
-    }
+        // Sites often return the last (or first) page again for out-of-range page numbers
+        if (newLinks.length === 0 || pageKey === previousPageKey) {
+            console.log(`[collectEpisodeLinks] Page ${page} has no new episodes, stopping.`);
+            break;
+        }
 
-    const title = extractTitle();
-    console.log("[runCrawler] Extracted title:", title);
+        for (const link of newLinks) {
+            seenLinks.add(link);
+            links.push(link);
+        }
+        for (const { url, title } of pageEpisodes) {
+            if (title && !titles.has(url)) {
+                titles.set(url, title);
+            }
+        }
+        previousPageKey = pageKey;
+        pageCount = page;
 
-    if (!title) {
-        showNotification("Title Extraction Failed", "Could not extract novel title.");
-        console.log("[runCrawler] Title extraction failed, exiting.");
-        return;
+        // Small delay to prevent rate limiting
+        if (page < pageLimit) {
+            await new Promise((r) => setTimeout(r, 500));
+        }
     }
 
-    // Initial setup dialog for pages and options
+    return { links, titles, pageCount };
+}
+
+/**
+ * Builds the chapter picker of the range dialog: a searchable, scrollable list of checkboxes.
+ * Shift-click selects or clears every visible chapter between the last clicked one and this one.
+ * The "All", "None" and "Invert" buttons act on the chapters matching the search.
+ * @param {Array<{url: string, number: number, title: string}>} entries - The episodes in reading order.
+ * @param {function(number): void} [onChange] - Called with the number of selected chapters after every change.
+ * @returns {{element: HTMLElement, getSelected: function(): Array<{url: string, number: number, title: string}>,
+ * selectRange: function(number, number): void}} The picker.
+ */
+function createChapterPicker(entries, onChange) {
+    const selected = new Set(entries.map((entry) => entry.number));
+    const rows = [];
+    let lastClickedIndex = null;
+
+    const element = document.createElement("div");
+    Object.assign(element.style, {
+        marginBottom: "20px",
+    });
+
+    const toolbar = document.createElement("div");
+    Object.assign(toolbar.style, {
+        display: "flex",
+        flexWrap: "wrap",
+        gap: "6px",
+        marginBottom: "8px",
+    });
+    element.appendChild(toolbar);
+
+    const searchInput = document.createElement("input");
+    searchInput.type = "search";
+    searchInput.placeholder = "Search titles or numbers";
+    Object.assign(searchInput.style, {
+        flex: "1 1 100%",
+        padding: "8px 10px",
+        border: "1px solid #e4e9f0",
+        borderRadius: "8px",
+        fontSize: "14px",
+        boxSizing: "border-box",
+    });
+    toolbar.appendChild(searchInput);
+
+    const createToolButton = (text, onClick) => {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.textContent = text;
+        Object.assign(button.style, {
+            padding: "6px 10px",
+            border: "1px solid #e4e9f0",
+            borderRadius: "6px",
+            backgroundColor: "#f9f9fb",
+            cursor: "pointer",
+            fontSize: "13px",
+        });
+        button.onmouseover = () => { button.style.backgroundColor = "#f0f2f8"; };
+        button.onmouseout = () => { button.style.backgroundColor = "#f9f9fb"; };
+        button.onclick = onClick;
+        toolbar.appendChild(button);
+        return button;
+    };
+
+    const list = document.createElement("div");
+    Object.assign(list.style, {
+        maxHeight: "240px",
+        overflowY: "auto",
+        border: "1px solid #e4e9f0",
+        borderRadius: "8px",
+        fontSize: "13px",
+    });
+    element.appendChild(list);
+
+    const summary = document.createElement("div");
+    Object.assign(summary.style, {
+        fontSize: "13px",
+        color: "#666",
+        marginTop: "6px",
+    });
+    element.appendChild(summary);
+
+    const visibleRows = () => rows.filter((row) => row.visible);
+    const refresh = () => {
+        for (const row of rows) {
+            row.checkbox.checked = selected.has(row.entry.number);
+        }
+        const visibleCount = visibleRows().length;
+        summary.textContent = `${selected.size} of ${entries.length} chapters selected`
+            + (visibleCount < rows.length ? ` (${visibleCount} shown)` : "");
+        if (onChange) onChange(selected.size);
+    };
+
+    createToolButton("All", () => {
+        visibleRows().forEach((row) => selected.add(row.entry.number));
+        refresh();
+    });
+    createToolButton("None", () => {
+        visibleRows().forEach((row) => selected.delete(row.entry.number));
+        refresh();
+    });
+    createToolButton("Invert", () => {
+        for (const row of visibleRows()) {
+            if (selected.has(row.entry.number)) {
+                selected.delete(row.entry.number);
+            } else {
+                selected.add(row.entry.number);
+            }
+        }
+        refresh();
+    });
+
+    const afterInput = document.createElement("input");
+    afterInput.type = "number";
+    afterInput.min = 0;
+    afterInput.max = entries.length;
+    afterInput.placeholder = "N";
+    afterInput.title = "Chapter number";
+    Object.assign(afterInput.style, {
+        width: "64px",
+        padding: "6px",
+        border: "1px solid #e4e9f0",
+        borderRadius: "6px",
+        fontSize: "13px",
+        boxSizing: "border-box",
+    });
+    toolbar.appendChild(afterInput);
+    createToolButton("Select All After N", () => {
+        const after = Number.parseInt(afterInput.value, 10);
+        if (Number.isNaN(after) || after < 0) {
+            afterInput.style.borderColor = "#e74c3c";
+            return;
+        }
+        afterInput.style.borderColor = "#e4e9f0";
+        selected.clear();
+        entries.filter((entry) => entry.number > after).forEach((entry) => selected.add(entry.number));
+        refresh();
+    });
+
+    for (const [index, entry] of entries.entries()) {
+        const label = document.createElement("label");
+        Object.assign(label.style, {
+            display: "flex",
+            alignItems: "center",
+            gap: "8px",
+            padding: "5px 10px",
+            borderBottom: "1px solid #f0f2f8",
+            cursor: "pointer",
+            userSelect: "none",
+        });
+        const checkbox = document.createElement("input");
+        checkbox.type = "checkbox";
+        const text = document.createElement("span");
+        text.textContent = `${entry.number}. ${entry.title || entry.url}`;
+        Object.assign(text.style, {
+            overflow: "hidden",
+            whiteSpace: "nowrap",
+            textOverflow: "ellipsis",
+        });
+        label.appendChild(checkbox);
+        label.appendChild(text);
+        list.appendChild(label);
+
+        checkbox.addEventListener("click", (event) => {
+            const checked = checkbox.checked;
+            const from = event.shiftKey && lastClickedIndex !== null ? Math.min(lastClickedIndex, index) : index;
+            const to = event.shiftKey && lastClickedIndex !== null ? Math.max(lastClickedIndex, index) : index;
+            for (const row of rows.slice(from, to + 1)) {
+                if (!row.visible) {
+                    continue;
+                }
+                if (checked) {
+                    selected.add(row.entry.number);
+                } else {
+                    selected.delete(row.entry.number);
+                }
+            }
+            lastClickedIndex = index;
+            refresh();
+        });
+        rows.push({ entry, label, checkbox, visible: true });
+    }
+
+    searchInput.addEventListener("input", () => {
+        const query = searchInput.value.trim().toLowerCase();
+        for (const row of rows) {
+            row.visible = query === ""
+                || String(row.entry.number).includes(query)
+                || row.entry.title.toLowerCase().includes(query);
+            row.label.style.display = row.visible ? "flex" : "none";
+        }
+        refresh();
+    });
+
+    refresh();
+
+    return {
+        element,
+        getSelected: () => entries.filter((entry) => selected.has(entry.number)),
+        selectRange(start, end) {
+            selected.clear();
+            entries.filter((entry) => entry.number >= start && entry.number <= end).forEach((entry) => selected.add(entry.number));
+            refresh();
+        },
+    };
+}
+
+/**
+ * Main function to run the novel crawler and initiate download options.
+ */
+async function runCrawler() {
+    console.log("[runCrawler] Starting");
+    let currentUrl = window.location.href;
+
+    // Clean URL by removing query parameters
+    const urlParts = currentUrl.split("?")[0];
+    currentUrl = urlParts;
+
+    console.log("[runCrawler] Current URL:", currentUrl);
+
+    const adapter = findSiteAdapter(currentUrl);
+    if (!adapter) {
+        showNotification("Invalid Page", "This script must be run on a supported novel list page (e.g. BookToki).");
+        console.log("[runCrawler] No site adapter matches this page, exiting.");
+        return;
+    }
+    console.log("[runCrawler] Using site adapter:", adapter.id);
+
+    const title = extractTitle();
+    console.log("[runCrawler] Extracted title:", title);
+    const extractedMetadata = extractNovelMetadata(adapter, document);
+
+    if (!title) {
+        showNotification("Title Extraction Failed", "Could not extract novel title.");
+        console.log("[runCrawler] Title extraction failed, exiting.");
+        return;
+    }
+
+    // Initial setup dialog for pages and options
     const dialog = document.createElement("div");
     Object.assign(dialog.style, {
         position: "fixed",
@@ -1560,15 +4011,131 @@ async function runCrawler() {
         return { group, input, errorDiv };
     }
 
-    // Pages input
+    /**
+     * Helper function to create a checkbox with a label and description.
+     * @param {string} labelText - Text for the checkbox label.
+     * @param {string} description - Descriptive text shown under the label.
+     * @param {boolean} checked - Initial state of the checkbox.
+     * @returns {{group: HTMLElement, input: HTMLInputElement}}
+     */
+    function createCheckboxGroup(labelText, description, checked) {
+        const group = document.createElement("div");
+        Object.assign(group.style, {
+            marginBottom: "20px",
+        });
+
+        const label = document.createElement("label");
+        Object.assign(label.style, {
+            display: "flex",
+            alignItems: "center",
+            gap: "8px",
+            fontSize: "14px",
+            color: "#444",
+            fontWeight: "500",
+            cursor: "pointer",
+        });
+        const input = document.createElement("input");
+        input.type = "checkbox";
+        input.checked = checked;
+        label.appendChild(input);
+        label.appendChild(document.createTextNode(labelText));
+        group.appendChild(label);
+
+        if (description) {
+            const desc = document.createElement("div");
+            desc.textContent = description;
+            Object.assign(desc.style, {
+                fontSize: "13px",
+                color: "#666",
+                marginTop: "6px",
+            });
+            group.appendChild(desc);
+        }
+
+        return { group, input };
+    }
+
+    /**
+     * Helper function to create a drop-down with a label and description.
+     * @param {string} labelText - Text for the label.
+     * @param {string} description - Descriptive text for the drop-down.
+     * @param {Object<string, string>} choices - Option labels keyed by value.
+     * @param {string} defaultValue - The initially selected value.
+     * @returns {{group: HTMLElement, input: HTMLSelectElement}}
+     */
+    function createSelectGroup(labelText, description, choices, defaultValue) {
+        const group = document.createElement("div");
+        Object.assign(group.style, {
+            marginBottom: "20px",
+        });
+
+        const label = document.createElement("label");
+        label.textContent = labelText;
+        Object.assign(label.style, {
+            display: "block",
+            marginBottom: "8px",
+            fontSize: "14px",
+            color: "#444",
+            fontWeight: "500",
+        });
+        group.appendChild(label);
+
+        if (description) {
+            const desc = document.createElement("div");
+            desc.textContent = description;
+            Object.assign(desc.style, {
+                fontSize: "13px",
+                color: "#666",
+                marginBottom: "8px",
+            });
+            group.appendChild(desc);
+        }
+
+        const input = document.createElement("select");
+        for (const [value, text] of Object.entries(choices)) {
+            const option = document.createElement("option");
+            option.value = value;
+            option.textContent = text;
+            input.appendChild(option);
+        }
+        input.value = defaultValue;
+        Object.assign(input.style, {
+            width: "100%",
+            padding: "10px",
+            border: "1px solid #e4e9f0",
+            borderRadius: "8px",
+            fontSize: "14px",
+            boxSizing: "border-box",
+            backgroundColor: "#fff",
+        });
+        group.appendChild(input);
+
+        return { group, input };
+    }
+
+    // Show the page count the pager suggests, if any; reading continues past it while pages return new links
+    const detectedPages = adapter.getLastListPage ? adapter.getLastListPage(document) : null;
+    console.log("[runCrawler] Detected list pages from pager:", detectedPages);
+
+    const detectedInfo = document.createElement("div");
+    detectedInfo.innerHTML = `<span style="display: inline-block; background-color: #ebf5ff; color: #3a7bd5; padding: 4px 8px; border-radius: 4px; font-weight: 500;">${detectedPages
+        ? `Pager shows ${detectedPages} list page${detectedPages > 1 ? "s" : ""}; more are read if they exist.`
+        : "List pages will be detected automatically."}</span>`;
+    Object.assign(detectedInfo.style, {
+        margin: "0 0 20px 0",
+        fontSize: "14px",
+    });
+    dialogContent.appendChild(detectedInfo);
+
+    // Optional page limit input
     const pagesInput = createInputGroup(
-        "Number of Novel List Pages",
+        "Maximum List Pages (Optional)",
         "number",
-        "1",
-        "Enter number of pages",
-        "Enter 1 if under 1000 chapters, 2 or more otherwise.",
+        "",
+        "Auto-detect",
+        "Leave empty to read every list page. Enter a number to read only that many pages.",
         (value) => {
-            if (Number.isNaN(Number(value)) || Number(value) < 1) {
+            if (value.trim() !== "" && (Number.isNaN(Number(value)) || Number(value) < 1)) {
                 return "Please enter a valid number of pages.";
             }
             return null;
@@ -1644,10 +4211,11 @@ async function runCrawler() {
 
     // Continue button click handler
     continueButton.onclick = async () => {
-        const totalPages = Number.parseInt(pagesInput.input.value, 10);
-        console.log("[runCrawler] User input pages:", totalPages);
+        const pageLimitValue = pagesInput.input.value.trim();
+        const maxPages = pageLimitValue === "" ? null : Number.parseInt(pageLimitValue, 10);
+        console.log("[runCrawler] User page limit:", maxPages);
 
-        if (Number.isNaN(totalPages) || totalPages < 1) {
+        if (maxPages !== null && (Number.isNaN(maxPages) || maxPages < 1)) {
             showNotification("Invalid Input", "Please enter a valid number of pages.");
             console.log("[runCrawler] Invalid page count input, exiting.");
             return;
@@ -1742,30 +4310,17 @@ async function runCrawler() {
         document.body.appendChild(loadingDialog);
 
         // Fetch all episode links with progress updates
-        const allEpisodeLinks = [];
-        for (let page = 1; page <= totalPages; page++) {
-            loadingText.textContent = `Loading page ${page}/${totalPages}...`;
-            const nextPageUrl = `${currentUrl}?spage=${page}`;
-            console.log(`[runCrawler] Fetching page ${page} URL:`, nextPageUrl);
-            const nextPageDoc = await fetchPage(nextPageUrl);
-            if (nextPageDoc) {
-                const nextPageLinks = Array.from(
-                    nextPageDoc.querySelectorAll(".item-subject"),
-                ).map((link) => link.getAttribute("href"));
-                console.log(
-                    `[runCrawler] Page ${page} episode links count:`,
-                    nextPageLinks.length,
-                );
-                allEpisodeLinks.push(...nextPageLinks);
-                loadingText.textContent = `${allEpisodeLinks.length} episodes found.`;
-            } else {
-                console.log(`[runCrawler] Failed to load page ${page}`);
-            }
-            // Small delay to prevent rate limiting
-            await new Promise((r) => setTimeout(r, 500));
-        }
+        const { links: allEpisodeLinks, titles: episodeTitles, pageCount } = await collectEpisodeLinks(
+            adapter,
+            currentUrl,
+            detectedPages,
+            maxPages,
+            (page, knownTotal, linkCount) => {
+                loadingText.textContent = `Loading page ${page}${knownTotal ? `/${knownTotal}` : ""}... (${linkCount} episodes found)`;
+            },
+        );
 
-        console.log("[runCrawler] Total episode links found:", allEpisodeLinks.length);
+        console.log("[runCrawler] Total episode links found:", allEpisodeLinks.length, "on pages:", pageCount);
 
         document.body.removeChild(loadingDialog);
 
@@ -1775,6 +4330,11 @@ async function runCrawler() {
             return;
         }
 
+        // The list is newest first, so the episode at index i is number (length - i)
+        const episodeEntries = allEpisodeLinks
+            .map((url, i) => ({ url, number: allEpisodeLinks.length - i, title: episodeTitles.get(url) || "" }))
+            .reverse();
+
         // Episode range dialog
         const rangeDialog = document.createElement("div");
         Object.assign(rangeDialog.style, {
@@ -1799,6 +4359,8 @@ async function runCrawler() {
             boxShadow: "0 4px 24px rgba(0,0,0,0.15)",
             width: "400px",
             maxWidth: "90%",
+            maxHeight: "90vh",
+            overflowY: "auto",
             padding: "24px",
             animation: "fadeIn 0.3s",
         });
@@ -1814,7 +4376,7 @@ async function runCrawler() {
         rangeContent.appendChild(rangeTitle);
 
         const episodeCount = document.createElement("div");
-        episodeCount.innerHTML = `<span style="display: inline-block; background-color: #ebf5ff; color: #3a7bd5; padding: 4px 8px; border-radius: 4px; font-weight: 500;">Total ${allEpisodeLinks.length} chapters found.</span>`;
+        episodeCount.innerHTML = `<span style="display: inline-block; background-color: #ebf5ff; color: #3a7bd5; padding: 4px 8px; border-radius: 4px; font-weight: 500;">Total ${allEpisodeLinks.length} chapters found on ${pageCount} list page${pageCount > 1 ? "s" : ""}.</span>`;
         Object.assign(episodeCount.style, {
             margin: "0 0 20px 0",
             fontSize: "14px",
@@ -1827,7 +4389,7 @@ async function runCrawler() {
             "number",
             "1",
             "Start chapter number",
-            "Starts from 1.",
+            "Starts from 1. Start and end select a range in the list below.",
             (value) => {
                 if (Number.isNaN(Number(value)) || Number(value) < 1) {
                     return "Please enter a valid chapter number.";
@@ -1861,6 +4423,31 @@ async function runCrawler() {
         endInput.input.min = 1;
         endInput.input.max = allEpisodeLinks.length;
 
+        // Chapter picker, kept in sync with the start and end inputs
+        const pickerLabel = document.createElement("label");
+        pickerLabel.textContent = "Chapters";
+        Object.assign(pickerLabel.style, {
+            display: "block",
+            marginBottom: "8px",
+            fontSize: "14px",
+            color: "#444",
+            fontWeight: "500",
+        });
+        rangeContent.appendChild(pickerLabel);
+
+        const chapterPicker = createChapterPicker(episodeEntries);
+        rangeContent.appendChild(chapterPicker.element);
+
+        const selectInputRange = () => {
+            const start = Number.parseInt(startInput.input.value, 10);
+            const end = Number.parseInt(endInput.input.value, 10);
+            if (!Number.isNaN(start) && !Number.isNaN(end) && start >= 1 && end >= start) {
+                chapterPicker.selectRange(start, end);
+            }
+        };
+        startInput.input.addEventListener("input", selectInputRange);
+        endInput.input.addEventListener("input", selectInputRange);
+
         // Delay input with warning
         const delayInput = createInputGroup(
             "Delay (milliseconds)",
@@ -1880,20 +4467,121 @@ async function runCrawler() {
         delayInput.input.style.border = "1px solid #ffcc00";
         delayInput.input.style.backgroundColor = "#fffbf0";
 
-        // Range buttons
-        const rangeButtons = document.createElement("div");
-        Object.assign(rangeButtons.style, {
-            display: "flex",
-            justifyContent: "space-between",
-            marginTop: "20px",
-            gap: "12px",
-        });
+        // Concurrency input
+        const concurrencyInput = createInputGroup(
+            "Parallel Downloads",
+            "number",
+            "1",
+            `1 to ${MAX_CONCURRENCY}`,
+            "Chapters fetched at the same time. Slows down automatically if the site starts blocking.",
+            (value) => {
+                const number = Number(value);
+                if (!Number.isInteger(number) || number < 1 || number > MAX_CONCURRENCY) {
+                    return `Please enter a number from 1 to ${MAX_CONCURRENCY}.`;
+                }
+                return null;
+            },
+        );
+        rangeContent.appendChild(concurrencyInput.group);
+        concurrencyInput.input.min = 1;
+        concurrencyInput.input.max = MAX_CONCURRENCY;
 
-        // Cancel button for range dialog
-        const rangeCancelButton = document.createElement("button");
-        rangeCancelButton.textContent = "Cancel";
-        Object.assign(rangeCancelButton.style, {
-            flex: "1",
+        // Retry attempts input
+        const attemptsInput = createInputGroup(
+            "Attempts per Chapter",
+            "number",
+            String(DEFAULT_MAX_ATTEMPTS),
+            "1 to 10",
+            "Network errors and server errors are retried with increasing waits before a chapter is reported as failed.",
+            (value) => {
+                const number = Number(value);
+                if (!Number.isInteger(number) || number < 1 || number > 10) {
+                    return "Please enter a number from 1 to 10.";
+                }
+                return null;
+            },
+        );
+        rangeContent.appendChild(attemptsInput.group);
+        attemptsInput.input.min = 1;
+        attemptsInput.input.max = 10;
+
+        // CAPTCHA auto-skip input
+        const captchaTimeoutInput = createInputGroup(
+            "CAPTCHA Auto-skip (seconds)",
+            "number",
+            "0",
+            "0 = wait for me",
+            "When a CAPTCHA appears the download pauses until you solve it. Enter a number of seconds to skip the chapter automatically instead.",
+            (value) => {
+                if (Number.isNaN(Number(value)) || Number(value) < 0) {
+                    return "Please enter 0 or a positive number of seconds.";
+                }
+                return null;
+            },
+        );
+        rangeContent.appendChild(captchaTimeoutInput.group);
+        captchaTimeoutInput.input.min = 0;
+
+        // Output splitting inputs, so very long novels are saved as several smaller files
+        const validateSplitLimit = (value) => {
+            const number = Number(value);
+            if (!Number.isInteger(number) || number < 0) {
+                return "Please enter 0 or a positive whole number.";
+            }
+            return null;
+        };
+        const splitChaptersInput = createInputGroup(
+            "Split Every N Chapters",
+            "number",
+            "0",
+            "0 = never",
+            "Save the novel as several parts with at most this many chapters each.",
+            validateSplitLimit,
+        );
+        rangeContent.appendChild(splitChaptersInput.group);
+        splitChaptersInput.input.min = 0;
+
+        const splitSizeInput = createInputGroup(
+            "Split at Size (MB)",
+            "number",
+            String(DEFAULT_SPLIT_SIZE_MB),
+            "0 = never",
+            "Start a new part before a file grows past this size. Keeps very large downloads from running out of memory on phones.",
+            validateSplitLimit,
+        );
+        rangeContent.appendChild(splitSizeInput.group);
+        splitSizeInput.input.min = 0;
+
+        // Illustration download option
+        const imagesCheckbox = createCheckboxGroup(
+            "Download Illustrations",
+            "Save images from the chapters into an images/ folder (ZIP and EPUB only). Uses the same delay as chapters.",
+            false,
+        );
+        rangeContent.appendChild(imagesCheckbox.group);
+
+        // Library tracking, on by default for serials that are still running
+        const libraryCheckbox = createCheckboxGroup(
+            "Track in Library",
+            "Remember this novel and its settings so new chapters can be downloaded later from the Library.",
+            extractedMetadata.status !== "completed",
+        );
+        rangeContent.appendChild(libraryCheckbox.group);
+
+        // Typography normalization option
+        const typographySelect = createSelectGroup(
+            "Typography",
+            "Curly quotes, dashes and ellipses can be kept or replaced with plain ASCII characters.",
+            TYPOGRAPHY_MODES,
+            "keep",
+        );
+        rangeContent.appendChild(typographySelect.group);
+
+        // Post-processing rules are edited in their own dialog and saved per site
+        const rulesButton = document.createElement("button");
+        rulesButton.textContent = "Edit Text Rules...";
+        Object.assign(rulesButton.style, {
+            width: "100%",
             padding: "10px",
             border: "1px solid #e4e9f0",
             borderRadius: "8px",
@@ -1901,21 +4589,132 @@ async function runCrawler() {
             cursor: "pointer",
             fontSize: "14px",
             fontWeight: "500",
-            transition: "all 0.2s ease",
         });
-
-        rangeCancelButton.onmouseover = () => {
-            rangeCancelButton.style.backgroundColor = "#f0f2f8";
-        };
-
-        rangeCancelButton.onmouseout = () => {
-            rangeCancelButton.style.backgroundColor = "#f9f9fb";
+        rulesButton.onmouseover = () => { rulesButton.style.backgroundColor = "#f0f2f8"; };
+        rulesButton.onmouseout = () => { rulesButton.style.backgroundColor = "#f9f9fb"; };
+        rulesButton.onclick = () => {
+            // Preview with the first selected chapter
+            const [sample] = chapterPicker.getSelected();
+            showTextRulesDialog(adapter, (sample || episodeEntries[0])?.url || null);
         };
+        rangeContent.appendChild(rulesButton);
 
-        rangeCancelButton.onclick = () => document.body.removeChild(rangeDialog);
-        rangeButtons.appendChild(rangeCancelButton);
+        // Metadata read from the list page, editable before it is written into the output
+        const metadataTitle = document.createElement("h4");
+        metadataTitle.textContent = "Novel Details";
+        Object.assign(metadataTitle.style, {
+            margin: "24px 0 4px 0",
+            color: "#172238",
+            fontSize: "15px",
+            fontWeight: "600",
+        });
+        rangeContent.appendChild(metadataTitle);
 
-        // Download button
+        const metadataHint = document.createElement("div");
+        metadataHint.textContent = "Read from this page. Written into the TXT header, metadata.json (ZIP) and the EPUB package.";
+        Object.assign(metadataHint.style, {
+            fontSize: "13px",
+            color: "#666",
+            marginBottom: "16px",
+        });
+        rangeContent.appendChild(metadataHint);
+
+        const authorInput = createInputGroup("Author", "text", extractedMetadata.author, "Unknown", "", null);
+        rangeContent.appendChild(authorInput.group);
+
+        const validateCoverUrl = (value) => {
+            if (value.trim() === "") {
+                return null;
+            }
+            try {
+                new URL(value.trim());
+                return null;
+            } catch (e) {
+                return "Please enter a full URL or leave it empty.";
+            }
+        };
+        const coverInput = createInputGroup(
+            "Cover Image URL",
+            "url",
+            extractedMetadata.coverUrl,
+            "No cover",
+            "Not used for TXT downloads.",
+            validateCoverUrl,
+        );
+        rangeContent.appendChild(coverInput.group);
+
+        const tagsInput = createInputGroup("Tags", "text", extractedMetadata.tags.join(", "), "Fantasy, Romance", "Separate tags with commas.", null);
+        rangeContent.appendChild(tagsInput.group);
+
+        const statusChoices = { ...NOVEL_STATUSES };
+        if (extractedMetadata.status && !statusChoices[extractedMetadata.status]) {
+            statusChoices[extractedMetadata.status] = extractedMetadata.status;
+        }
+        const statusSelect = createSelectGroup("Status", "", statusChoices, extractedMetadata.status);
+        rangeContent.appendChild(statusSelect.group);
+
+        const synopsisLabel = document.createElement("label");
+        synopsisLabel.textContent = "Synopsis";
+        Object.assign(synopsisLabel.style, {
+            display: "block",
+            marginBottom: "8px",
+            fontSize: "14px",
+            color: "#444",
+            fontWeight: "500",
+        });
+        rangeContent.appendChild(synopsisLabel);
+
+        const synopsisInput = document.createElement("textarea");
+        synopsisInput.value = extractedMetadata.description;
+        synopsisInput.rows = 5;
+        Object.assign(synopsisInput.style, {
+            width: "100%",
+            padding: "10px",
+            border: "1px solid #e4e9f0",
+            borderRadius: "8px",
+            fontSize: "14px",
+            fontFamily: "inherit",
+            boxSizing: "border-box",
+            resize: "vertical",
+        });
+        rangeContent.appendChild(synopsisInput);
+
+        // Range buttons
+        const rangeButtons = document.createElement("div");
+        Object.assign(rangeButtons.style, {
+            display: "flex",
+            justifyContent: "space-between",
+            marginTop: "20px",
+            gap: "12px",
+        });
+
+        // Cancel button for range dialog
+        const rangeCancelButton = document.createElement("button");
+        rangeCancelButton.textContent = "Cancel";
+        Object.assign(rangeCancelButton.style, {
+            flex: "1",
+            padding: "10px",
+            border: "1px solid #e4e9f0",
+            borderRadius: "8px",
+            backgroundColor: "#f9f9fb",
+            cursor: "pointer",
+            fontSize: "14px",
+            fontWeight: "500",
+            transition: "all 0.2s ease",
+        });
+
+        rangeCancelButton.onmouseover = () => {
+            rangeCancelButton.style.backgroundColor = "#f0f2f8";
+        };
+
+        rangeCancelButton.onmouseout = () => {
+            rangeCancelButton.style.backgroundColor = "#f9f9fb";
+        };
+
+        rangeCancelButton.onclick = () => document.body.removeChild(rangeDialog);
+        rangeButtons.appendChild(rangeCancelButton);
+
+        // Download button
         const downloadButton = document.createElement("button");
         downloadButton.textContent = "Download";
         Object.assign(downloadButton.style, {
@@ -2006,24 +4805,16 @@ async function runCrawler() {
 
         // Download button click handler
         downloadButton.onclick = () => {
-            const startEpisode = Number.parseInt(startInput.input.value, 10);
-            const endEpisode = Number.parseInt(endInput.input.value, 10);
-            console.log("[runCrawler] Download range input:", {
-                startEpisode,
-                endEpisode,
-            });
+            const selectedEpisodes = chapterPicker.getSelected();
+            console.log("[runCrawler] Selected chapters:", selectedEpisodes.length);
 
-            if (
-                Number.isNaN(startEpisode) ||
-                Number.isNaN(endEpisode) ||
-                startEpisode < 1 ||
-                endEpisode < startEpisode ||
-                endEpisode > allEpisodeLinks.length
-            ) {
-                showNotification("Invalid Range", "Please enter a valid chapter range.");
-                console.log("[runCrawler] Invalid chapter range input, exiting.");
+            if (selectedEpisodes.length === 0) {
+                showNotification("No Chapters Selected", "Please select at least one chapter to download.");
+                console.log("[runCrawler] No chapters selected, exiting.");
                 return;
             }
+            const startEpisode = selectedEpisodes[0].number;
+            const endEpisode = selectedEpisodes[selectedEpisodes.length - 1].number;
 
             const delay = Number.parseInt(delayInput.input.value, 10);
             console.log("[runCrawler] Delay input:", delay);
@@ -2033,14 +4824,74 @@ async function runCrawler() {
                 return;
             }
 
+            const concurrency = Number.parseInt(concurrencyInput.input.value, 10);
+            console.log("[runCrawler] Concurrency input:", concurrency);
+            if (Number.isNaN(concurrency) || concurrency < 1 || concurrency > MAX_CONCURRENCY) {
+                showNotification("Invalid Concurrency", `Please enter a number of parallel downloads from 1 to ${MAX_CONCURRENCY}.`);
+                console.log("[runCrawler] Invalid concurrency input, exiting.");
+                return;
+            }
+
+            const maxAttempts = Number.parseInt(attemptsInput.input.value, 10);
+            console.log("[runCrawler] Max attempts input:", maxAttempts);
+            if (Number.isNaN(maxAttempts) || maxAttempts < 1 || maxAttempts > 10) {
+                showNotification("Invalid Attempts", "Please enter a number of attempts from 1 to 10.");
+                console.log("[runCrawler] Invalid attempts input, exiting.");
+                return;
+            }
+
+            const captchaTimeoutSeconds = Number(captchaTimeoutInput.input.value || 0);
+            console.log("[runCrawler] CAPTCHA auto-skip input:", captchaTimeoutSeconds);
+            if (Number.isNaN(captchaTimeoutSeconds) || captchaTimeoutSeconds < 0) {
+                showNotification("Invalid CAPTCHA Timeout", "Please enter 0 or a positive number of seconds.");
+                console.log("[runCrawler] Invalid CAPTCHA timeout input, exiting.");
+                return;
+            }
+
+            const splitChapters = Number(splitChaptersInput.input.value || 0);
+            const splitSizeMb = Number(splitSizeInput.input.value || 0);
+            console.log("[runCrawler] Split inputs:", { splitChapters, splitSizeMb });
+            if (validateSplitLimit(splitChapters) || validateSplitLimit(splitSizeMb)) {
+                showNotification("Invalid Split Limit", "Please enter 0 or a positive whole number for the split limits.");
+                console.log("[runCrawler] Invalid split input, exiting.");
+                return;
+            }
+
+            const coverUrl = coverInput.input.value.trim();
+            if (validateCoverUrl(coverUrl)) {
+                showNotification("Invalid Cover URL", "Please enter a full cover image URL or leave it empty.");
+                console.log("[runCrawler] Invalid cover URL input, exiting.");
+                return;
+            }
+            const metadata = normalizeNovelMetadata({
+                author: authorInput.input.value,
+                coverUrl,
+                description: synopsisInput.value,
+                tags: tagsInput.input.value,
+                status: statusSelect.input.value,
+            });
+            console.log("[runCrawler] Metadata input:", metadata);
+
             document.body.removeChild(rangeDialog);
 
             console.log(
-                `Task added: Preparing to download "${title}" (Chapters ${startEpisode} to ${endEpisode})`,
+                `Task added: Preparing to download "${title}" (${selectedEpisodes.length} chapters from ${startEpisode} to ${endEpisode})`,
             );
 
             // Call downloadNovel, which will then show the save options and call processDownloadCore
-            downloadNovel(title, allEpisodeLinks, startEpisode, endEpisode, delay);
+            const episodes = selectedEpisodes.map(({ url, number }) => ({ url, number }));
+            downloadNovel(title, episodes, startEpisode, endEpisode, delay, {
+                concurrency,
+                maxAttempts,
+                captchaTimeoutMs: captchaTimeoutSeconds * 1000,
+                sourceUrl: currentUrl,
+                downloadImages: imagesCheckbox.input.checked,
+                typography: typographySelect.input.value,
+                metadata,
+                trackInLibrary: libraryCheckbox.input.checked,
+                splitChapters,
+                splitSizeMb,
+            });
         };
 
         // Accessibility for range dialog
@@ -2061,7 +4912,8 @@ async function runCrawler() {
 
 /**
  * Displays a dialog to upload a report file and initiate retry download.
- * @param {string} novelTitle - The title of the novel for which to retry.
+ * Accepts the text report (URLs only) or the JSON report, which also restores the title and settings.
+ * @param {string|null} novelTitle - The title of the novel for which to retry, if it could be extracted from the page.
  */
 async function showRetryFromFileDialog(novelTitle) {
     const dialog = document.createElement("div");
@@ -2103,7 +4955,7 @@ async function showRetryFromFileDialog(novelTitle) {
 
     const fileInput = document.createElement("input");
     fileInput.type = "file";
-    fileInput.accept = ".txt"; // Only accept text files
+    fileInput.accept = ".txt,.json"; // Text or JSON reports
     Object.assign(fileInput.style, {
         display: "block",
         margin: "20px auto",
@@ -2115,6 +4967,49 @@ async function showRetryFromFileDialog(novelTitle) {
     });
     dialogContent.appendChild(fileInput);
 
+    const fileHint = document.createElement("div");
+    fileHint.textContent = "Select a _report.txt or _report.json file. JSON reports also restore the original title, delay and save method.";
+    Object.assign(fileHint.style, {
+        fontSize: "13px",
+        color: "#666",
+        margin: "-8px 0 20px 0",
+    });
+    dialogContent.appendChild(fileHint);
+
+    const originalLabel = document.createElement("div");
+    originalLabel.textContent = "Original download to merge into (optional, JSON report only)";
+    Object.assign(originalLabel.style, {
+        fontSize: "14px",
+        color: "#444",
+        fontWeight: "500",
+        textAlign: "left",
+    });
+    dialogContent.appendChild(originalLabel);
+
+    const originalInput = document.createElement("input");
+    originalInput.type = "file";
+    originalInput.accept = ".zip,.txt"; // The ZIP or merged TXT produced by the first download
+    originalInput.multiple = true; // One file per part if the output was split
+    Object.assign(originalInput.style, {
+        display: "block",
+        margin: "8px auto 8px auto",
+        padding: "10px",
+        border: "1px solid #e4e9f0",
+        borderRadius: "8px",
+        width: "calc(100% - 20px)",
+        boxSizing: "border-box",
+    });
+    dialogContent.appendChild(originalInput);
+
+    const originalHint = document.createElement("div");
+    originalHint.textContent = "Merging needs the _report.json file; a _report.txt can only retry the failed chapters. If the download was split, select every part. Recovered chapters are put back in their original positions.";
+    Object.assign(originalHint.style, {
+        fontSize: "13px",
+        color: "#666",
+        margin: "0 0 20px 0",
+    });
+    dialogContent.appendChild(originalHint);
+
     const uploadButton = document.createElement("button");
     uploadButton.textContent = "Upload File and Retry";
     Object.assign(uploadButton.style, {
@@ -2161,12 +5056,66 @@ async function showRetryFromFileDialog(novelTitle) {
             showNotification("File Selection Required", "Please select a file to retry.");
             return;
         }
+        const originalFiles = [...originalInput.files];
+        if (originalFiles.length > 0 && !file.name.toLowerCase().endsWith(".json")) {
+            showNotification("JSON Report Required", "Merging into the original download needs the _report.json file.");
+            return;
+        }
 
         document.body.removeChild(dialog); // Close upload dialog
 
         const reader = new FileReader();
         reader.onload = async (e) => {
             const content = e.target.result;
+
+            if (file.name.toLowerCase().endsWith(".json")) {
+                const report = parseJsonReportFile(content);
+                if (!report) {
+                    showNotification("Invalid Report", "The file is not a valid novel-dl JSON report.");
+                    return;
+                }
+                if (report.episodes.length === 0) {
+                    showNotification("No URLs Found", "The report has no failed or pending chapters to retry.");
+                    return;
+                }
+                const title = report.title || novelTitle || extractTitle();
+                if (!title) {
+                    showNotification("Title Extraction Failed", "Could not extract novel title. Cannot use retry feature.");
+                    return;
+                }
+
+                if (originalFiles.length > 0 && report.saveMode !== "zip" && report.saveMode !== "txt") {
+                    showNotification("Merge Not Supported", "Only TXT and ZIP downloads can be merged. Retry without the original file instead.");
+                    return;
+                }
+                if (originalFiles.length > 0) {
+                    let mergeBase;
+                    try {
+                        mergeBase = await loadOriginalDownload(originalFiles, report);
+                    } catch (err) {
+                        console.error("[showRetryFromFileDialog] Failed to read original download:", err);
+                        showNotification("Original File Error", `Could not read the original download: ${err.message}`);
+                        return;
+                    }
+                    // Chapters missing from the original (failed, or not found in the file) are fetched again
+                    const episodesToMerge = report.reportChapters
+                        .filter((chapter, position) => !mergeBase.chapters[position])
+                        .map(toReportEpisode);
+                    if (episodesToMerge.length === 0) {
+                        showNotification("Nothing to Retry", "The original download already contains every chapter.");
+                        return;
+                    }
+                    await processDownloadCore(title, episodesToMerge, report.delayMs, mergeBase.saveMode, file.name, undefined, undefined, {
+                        ...report.options,
+                        mergeBase,
+                    });
+                    return;
+                }
+
+                await processDownloadCore(title, report.episodes, report.delayMs, report.saveMode, file.name, undefined, undefined, report.options);
+                return;
+            }
+
             const urlsToRetry = parseReportFile(content);
 
             if (urlsToRetry.length === 0) {
@@ -2177,12 +5126,12 @@ async function showRetryFromFileDialog(novelTitle) {
             // For retries, we assume ZIP download for consistency and to include new report
             // Pass the original file name for better report naming
             // We need to extract the novel title again for the retry
-            const title = extractTitle();
+            const title = novelTitle || extractTitle();
             if (!title) {
                 showNotification("Title Extraction Failed", "Could not extract novel title. Cannot use retry feature.");
                 return;
             }
-            await processDownloadCore(title, urlsToRetry, 5000, true, file.name);
+            await processDownloadCore(title, urlsToRetry, 5000, "zip", file.name);
         };
         reader.onerror = (e) => {
             console.error("File read error:", e);
@@ -2210,6 +5159,246 @@ function parseReportFile(fileContent) {
     return urls;
 }
 
+/**
+ * Reads the episode URL and number of a JSON report chapter. Reports written before chapter numbers
+ * were tracked have no `number`.
+ * @param {object} chapter - A chapter entry of a JSON report.
+ * @returns {{url: string, number: (number|null)}} The episode.
+ */
+function toReportEpisode(chapter) {
+    return { url: chapter.url, number: Number.isInteger(chapter.number) ? chapter.number : null };
+}
+
+/**
+ * Parses a JSON report written by processDownloadCore and extracts what is needed to retry it.
+ * Chapters that did not succeed (skipped, incomplete or never processed) are retried.
+ * @param {string} fileContent - The JSON text of the report file.
+ * @returns {{title: string|null, episodes: Array<{url: string, number: (number|null)}>, delayMs: number, saveMode: string, options: object, range: object, reportChapters: Array<object>}|null}
+ * The retry parameters, or null if the file is not a valid report.
+ */
+function parseJsonReportFile(fileContent) {
+    let report;
+    try {
+        report = JSON.parse(fileContent);
+    } catch (e) {
+        console.error("[parseJsonReportFile] Invalid JSON:", e);
+        return null;
+    }
+    if (!report || report.format !== JSON_REPORT_FORMAT || !Array.isArray(report.chapters)) {
+        console.error("[parseJsonReportFile] Not a novel-dl report.");
+        return null;
+    }
+
+    const settings = report.settings || {};
+    const delayMs = Number(settings.delayMs) >= 1000 ? Number(settings.delayMs) : 5000;
+    const saveMode = ["txt", "zip", "epub", "md", "md-combined", "html"].includes(settings.saveMode) ? settings.saveMode : "zip";
+
+    return {
+        title: report.novelTitle || null,
+        episodes: report.chapters
+            .filter((chapter) => chapter.status !== "success" && typeof chapter.url === "string")
+            .map(toReportEpisode),
+        delayMs,
+        saveMode,
+        options: {
+            concurrency: settings.concurrency,
+            maxAttempts: settings.maxAttempts,
+            captchaTimeoutMs: settings.captchaTimeoutMs,
+            sourceUrl: report.sourceUrl || undefined,
+            downloadImages: Boolean(settings.downloadImages),
+            typography: settings.typography,
+            textRules: Array.isArray(settings.textRules) ? settings.textRules : undefined,
+            metadata: normalizeNovelMetadata(report.metadata),
+            splitChapters: settings.splitChapters,
+            splitSizeMb: settings.splitSizeMb,
+        },
+        range: report.range || { start: null, end: null },
+        reportChapters: report.chapters,
+    };
+}
+
+/**
+ * Splits a merged TXT download back into its chapters at the heading lines. Only used for reports
+ * that predate recorded chapter positions: a chapter whose text contains a heading line is cut in two.
+ * @param {string} text - The content of the TXT file written by processDownloadCore.
+ * @returns {Array<{episodeTitle: string, content: string}>} The chapters in file order.
+ */
+function parseMergedTextFile(text) {
+    // The file is a header followed by "\n\n--- Title ---\n\nContent" blocks
+    const parts = text.replace(/\r\n/g, "\n").split(/\n\n--- (.+?) ---\n\n/);
+    const chapters = [];
+    for (let i = 1; i < parts.length; i += 2) {
+        chapters.push({ episodeTitle: parts[i], content: (parts[i + 1] || "").trim() });
+    }
+    return chapters;
+}
+
+/**
+ * Reads the text of each TXT part of a split download, keyed by the part number in its first line
+ * ("Title Part 2"). Throws if a file is not a part, or a part is given twice or is missing.
+ * @param {Array<File>} files - The TXT files, in any order.
+ * @param {Set<number>} expectedParts - The part numbers recorded in the report.
+ * @returns {Promise<Map<number, string>>} The text per part number.
+ */
+async function readTextDownloadParts(files, expectedParts) {
+    const texts = new Map();
+    for (const file of files) {
+        const text = await file.text();
+        const partMatch = text.slice(0, text.indexOf("\n")).match(/ Part (\d+)$/);
+        const part = partMatch ? Number(partMatch[1]) : null;
+        if (!expectedParts.has(part)) {
+            throw new Error(`${file.name} is not a part of this download.`);
+        }
+        if (texts.has(part)) {
+            throw new Error(`Part ${part} was selected twice.`);
+        }
+        texts.set(part, text);
+    }
+    const missingParts = [...expectedParts].filter((part) => !texts.has(part)).sort((a, b) => a - b);
+    if (missingParts.length > 0) {
+        throw new Error(`The download was split into ${expectedParts.size} files; select every part (missing: Part ${missingParts.join(", Part ")}).`);
+    }
+    return texts;
+}
+
+/**
+ * Reads the original ZIP or TXT download of a report and lines its chapters up with the report.
+ * A split download is read from all of its part files together.
+ * @param {Array<File>} files - The original ZIP or TXT files, one per output part.
+ * @param {object} report - The parsed JSON report (see parseJsonReportFile).
+ * @returns {Promise<{saveMode: string, range: object, reportChapters: Array<object>, chapters: Array<object|null>, images: Array<object>}>}
+ * The merge base: `chapters[position]` holds the original chapter at that report position, or null if it is missing.
+ */
+async function loadOriginalDownload(files, report) {
+    const isZip = files[0].name.toLowerCase().endsWith(".zip");
+    if (files.some((file) => file.name.toLowerCase().endsWith(".zip") !== isZip)) {
+        throw new Error("Select only ZIP files or only TXT files.");
+    }
+    const chapters = report.reportChapters.map(() => null);
+    const images = [];
+
+    if (isZip) {
+        const archives = await Promise.all(files.map((file) => loadZipArchive(file)));
+        for (const [position, reportChapter] of report.reportChapters.entries()) {
+            if (reportChapter.status !== "success") {
+                continue;
+            }
+            const fileName = reportChapter.fileName || `${sanitizeFilename(reportChapter.episodeTitle || "")}.txt`;
+            const entry = archives.map((archive) => archive.file(fileName)).find(Boolean);
+            if (entry) {
+                chapters[position] = {
+                    ...toReportEpisode(reportChapter),
+                    episodeTitle: reportChapter.episodeTitle,
+                    content: await entry.async("string"),
+                };
+            } else {
+                console.warn(`[loadOriginalDownload] Entry not found in ZIP, will download again: ${fileName}`);
+            }
+        }
+        // Carry the illustrations over so the merged ZIP keeps them
+        const mediaTypes = Object.fromEntries(Object.entries(IMAGE_EXTENSIONS).map(([mediaType, extension]) => [extension, mediaType]));
+        const imageNames = new Set();
+        for (const entry of archives.flatMap((archive) => archive.file(/^images\//))) {
+            const mediaType = mediaTypes[entry.name.split(".").pop()];
+            if (mediaType && !imageNames.has(entry.name)) {
+                imageNames.add(entry.name);
+                images.push({ file: entry.name, mediaType, data: await entry.async("arraybuffer") });
+            }
+        }
+    } else if (report.reportChapters.some((reportChapter) => reportChapter.status === "success" && reportChapter.textRange)) {
+        const parts = new Set(report.reportChapters
+            .filter((reportChapter) => reportChapter.status === "success" && reportChapter.textRange)
+            .map((reportChapter) => reportChapter.textRange.part));
+        // An unsplit download is a single file, whatever its first line says
+        const texts = parts.size === 1 && files.length === 1
+            ? new Map([[[...parts][0], await files[0].text()]])
+            : await readTextDownloadParts(files, parts);
+        for (const [position, reportChapter] of report.reportChapters.entries()) {
+            if (reportChapter.status !== "success") {
+                continue;
+            }
+            // The recorded range must sit right after the chapter's heading and end where the next one starts
+            const range = reportChapter.textRange;
+            const text = range ? texts.get(range.part) : undefined;
+            const heading = range ? formatTextChapterHeading(reportChapter.episodeTitle) : "";
+            const isChapterText = text !== undefined
+                && text.slice(range.start - heading.length, range.start) === heading
+                && (range.end === text.length || text.startsWith("\n\n--- ", range.end));
+            if (isChapterText) {
+                chapters[position] = {
+                    ...toReportEpisode(reportChapter),
+                    episodeTitle: reportChapter.episodeTitle,
+                    content: text.slice(range.start, range.end),
+                };
+            } else {
+                console.warn(`[loadOriginalDownload] Chapter not found in TXT, will download again: ${reportChapter.url}`);
+            }
+        }
+    } else {
+        console.warn("[loadOriginalDownload] The report has no chapter positions, splitting the TXT at its heading lines.");
+        const sections = [];
+        for (const file of files) {
+            sections.push(...parseMergedTextFile(await file.text()));
+        }
+        let sectionIndex = 0;
+        for (const [position, reportChapter] of report.reportChapters.entries()) {
+            if (reportChapter.status !== "success") {
+                continue;
+            }
+            const section = sections[sectionIndex];
+            if (section && section.episodeTitle === reportChapter.episodeTitle) {
+                chapters[position] = {
+                    ...toReportEpisode(reportChapter),
+                    episodeTitle: section.episodeTitle,
+                    content: section.content,
+                };
+                sectionIndex++;
+            } else {
+                console.warn(`[loadOriginalDownload] Chapter not found in TXT, will download again: ${reportChapter.url}`);
+            }
+        }
+    }
+
+    return {
+        saveMode: isZip ? "zip" : "txt",
+        range: report.range,
+        reportChapters: report.reportChapters,
+        chapters,
+        images,
+    };
+}
+
+/**
+ * Combines the original download with the outcomes of a retry, in the original report order.
+ * @param {object} mergeBase - The merge base returned by loadOriginalDownload.
+ * @param {Array<string>} retriedUrls - The URLs fetched by the retry.
+ * @param {Array<object>} retriedOutcomes - The retry outcome per URL.
+ * @returns {{episodes: Array<{url: string, number: (number|null)}>, outcomes: Array<object>}} The full episode list and outcomes of the merged download.
+ */
+function mergeRetryOutcomes(mergeBase, retriedUrls, retriedOutcomes) {
+    const retriedByUrl = new Map(retriedUrls.map((url, i) => [url, retriedOutcomes[i]]));
+    const episodes = [];
+    const outcomes = [];
+
+    for (const [position, reportChapter] of mergeBase.reportChapters.entries()) {
+        const episode = toReportEpisode(reportChapter);
+        const url = episode.url;
+        episodes.push(episode);
+
+        const original = mergeBase.chapters[position];
+        if (original) {
+            outcomes.push({ status: 'success', url, number: episode.number, chapter: original, restored: true });
+        } else if (retriedByUrl.get(url)) {
+            outcomes.push(retriedByUrl.get(url));
+        } else {
+            // Neither in the original nor fetched by the retry (e.g. retry cancelled)
+            outcomes.push(undefined);
+        }
+    }
+
+    return { episodes, outcomes };
+}
+
 
 
 // Part 7: Accessibility and FAB Initialization
@@ -2423,15 +5612,56 @@ function initializeFabMenu() {
     `; // File icon
     retryFromFileItem.onclick = () => {
         menuOverlay.classList.remove('active');
-        const currentTitle = extractTitle(); // Get title for retry dialog
-        if (currentTitle) {
-            showRetryFromFileDialog(currentTitle);
-        } else {
-            showNotification("Error", "Could not extract novel title. Cannot use retry feature.");
-        }
+        // JSON reports carry their own title, so the dialog is shown even if the page title is unavailable
+        showRetryFromFileDialog(extractTitle());
     };
     menu.appendChild(retryFromFileItem);
 
+    // Menu Item: Resume Unfinished Download
+    const resumeItem = document.createElement('div');
+    resumeItem.className = 'fab-menu-item';
+    resumeItem.innerHTML = `
+        <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="20" height="20" fill="currentColor">
+            <path d="M13 3a9 9 0 0 0-9 9H1l3.89 3.89.07.14L9 12H6c0-3.87 3.13-7 7-7s7 3.13 7 7-3.13 7-7 7c-1.93 0-3.68-.79-4.94-2.06l-1.42 1.42A8.954 8.954 0 0 0 13 21a9 9 0 0 0 0-18zm-1 5v5l4.28 2.54.72-1.21-3.5-2.08V8H12z"/>
+        </svg>
+        Resume Unfinished Download
+    `; // History icon
+    resumeItem.onclick = () => {
+        menuOverlay.classList.remove('active');
+        showResumeDialog();
+    };
+    menu.appendChild(resumeItem);
+
+    // Menu Item: Library
+    const libraryItem = document.createElement('div');
+    libraryItem.className = 'fab-menu-item';
+    libraryItem.innerHTML = `
+        <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="20" height="20" fill="currentColor">
+            <path d="M4 6H2v14c0 1.1.9 2 2 2h14v-2H4V6zm16-4H8c-1.1 0-2 .9-2 2v12c0 1.1.9 2 2 2h12c1.1 0 2-.9 2-2V4c0-1.1-.9-2-2-2zm-1 9H9V9h10v2zm-4 4H9v-2h6v2zm4-8H9V5h10v2z"/>
+        </svg>
+        Library
+    `; // Library books icon
+    libraryItem.onclick = () => {
+        menuOverlay.classList.remove('active');
+        showLibraryDialog();
+    };
+    menu.appendChild(libraryItem);
+
+    // Menu Item: Download Queue
+    const queueItem = document.createElement('div');
+    queueItem.className = 'fab-menu-item';
+    queueItem.innerHTML = `
+        <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="20" height="20" fill="currentColor">
+            <path d="M3 13h2v-2H3v2zm0 4h2v-2H3v2zm0-8h2V7H3v2zm4 4h14v-2H7v2zm0 4h14v-2H7v2zM7 7v2h14V7H7z"/>
+        </svg>
+        Download Queue
+    `; // List icon
+    queueItem.onclick = () => {
+        menuOverlay.classList.remove('active');
+        showQueuePanel();
+    };
+    menu.appendChild(queueItem);
+
     // Toggle menu visibility
     fabButton.addEventListener('click', () => {
         menuOverlay.classList.toggle('active');
@@ -2454,3 +5684,3449 @@ function initializeFabMenu() {
 
 // Initialize the FAB and menu when the DOM is fully loaded
 document.addEventListener('DOMContentLoaded', initializeFabMenu);
+
+
+// Part 8: EPUB Generation
+
+/**
+ * Escapes a string for safe use inside XML/XHTML text and attribute values.
+ * @param {string} text - The raw text.
+ * @returns {string} The escaped text.
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&apos;");
+}
+
+/**
+ * Generates a random UUID, used to identify download jobs.
+ * @returns {string} A version 4 UUID.
+ */
+function generateUuid() {
+    if (window.crypto && typeof window.crypto.randomUUID === "function") {
+        return window.crypto.randomUUID();
+    }
+    return "xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx".replace(/[xy]/g, (c) => {
+        const r = (Math.random() * 16) | 0;
+        return (c === "x" ? r : (r & 0x3) | 0x8).toString(16);
+    });
+}
+
+/**
+ * Derives a UUID from a name, so the same novel gets the same identifier every time it is exported.
+ * Four FNV-1a hashes of the name fill an RFC 9562 version 8 (custom) UUID.
+ * @param {string} name - What identifies the book, see getBookIdName.
+ * @returns {string} The UUID.
+ */
+function generateNameBasedUuid(name) {
+    const hex = [0x811c9dc5, 0x050c5d1f, 0x9e3779b9, 0x85ebca6b].map((seed) => {
+        let hash = seed;
+        for (let i = 0; i < name.length; i++) {
+            hash = Math.imul(hash ^ name.charCodeAt(i), 0x01000193);
+        }
+        return (hash >>> 0).toString(16).padStart(8, "0");
+    }).join("");
+    const variant = ((Number.parseInt(hex[16], 16) & 0x3) | 0x8).toString(16);
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-8${hex.slice(13, 16)}-${variant}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+}
+
+/**
+ * Names a book for generateNameBasedUuid: the novel page (independent of the mirror domain) if known,
+ * else the title, plus what sets its chapters apart: the library volume or, outside the library,
+ * the episode range, and the output part. Different ranges of one novel are different books to an e-reader.
+ * @param {string} title - The novel title.
+ * @param {string} [sourceUrl] - The novel list page URL.
+ * @param {{volume: (number|undefined), range: ({start: (number|null), end: (number|null)}|undefined), part: (number|undefined)}} [position]
+ * The library volume, the episode range and the output part, if any. The range is ignored for volumes.
+ * @returns {string} The name.
+ */
+function getBookIdName(title, sourceUrl, { volume, range, part } = {}) {
+    const base = sourceUrl ? getNovelKey(sourceUrl) : `title:${title}`;
+    let position = "";
+    if (volume) {
+        position = `#volume-${volume}`;
+    } else if (range && (range.start ?? range.end ?? null) !== null) {
+        position = `#range-${range.start ?? ""}-${range.end ?? ""}`;
+    }
+    return `${base}${position}${part ? `#part-${part}` : ""}`;
+}
+
+/**
+ * Wraps body markup into a complete XHTML document for an EPUB content file.
+ * @param {string} title - The document title.
+ * @param {string} bodyHtml - The XHTML markup for the body.
+ * @returns {string} The XHTML document.
+ */
+function buildXhtmlDocument(title, bodyHtml) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="ko" lang="ko">
+<head>
+<meta charset="UTF-8"/>
+<title>${escapeXml(title)}</title>
+<link rel="stylesheet" type="text/css" href="style.css"/>
+</head>
+<body>
+${bodyHtml}
+</body>
+</html>
+`;
+}
+
+/**
+ * Populates a ZIP archive with a valid EPUB 3 book.
+ * Writes the mimetype, container, OPF package, nav.xhtml table of contents,
+ * one XHTML file per chapter and the skipped/incomplete report as an appendix. When there is a cover
+ * or synopsis, a title page with them comes first.
+ * @param {object} zip - An empty archive from createZipArchive.
+ * @param {string} title - The novel title.
+ * @param {Array<{url: string, episodeTitle: string, content: string, document: (ChapterDocument|undefined)}>} chapters - The downloaded chapters in reading order.
+ * @param {string} reportContent - The skipped/incomplete chapters report.
+ * @param {Array<{file: string, mediaType: string, data: ArrayBuffer}>} [images] - Downloaded illustrations, stored under OEBPS/.
+ * @param {NovelMetadata} [metadata] - Author, synopsis, tags and status for the package metadata and title page.
+ * @param {{file: string, mediaType: string, data: ArrayBuffer}|null} [cover] - The downloaded cover image.
+ * @param {string} [bookId] - The UUID used as dc:identifier; exports of the same novel should share it (see generateNameBasedUuid).
+ */
+function buildEpub(zip, title, chapters, reportContent, images = [], metadata = normalizeNovelMetadata(null), cover = null, bookId = generateNameBasedUuid(getBookIdName(title))) {
+    // The mimetype entry must come first and must not be compressed
+    zip.file("mimetype", "application/epub+zip", { compression: "STORE" });
+
+    zip.file("META-INF/container.xml", `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+<rootfiles>
+<rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+</rootfiles>
+</container>
+`);
+
+    zip.file("OEBPS/style.css", `body { font-family: serif; line-height: 1.7; margin: 0 5%; }
+h1 { font-size: 1.4em; margin: 1.5em 0 1em; text-align: center; }
+p { margin: 0 0 0.8em; text-indent: 1em; }
+img { display: block; max-width: 100%; margin: 1em auto; }
+hr.scene-break { border: none; margin: 1.5em 0; text-align: center; }
+hr.scene-break::after { content: "* * *"; }
+.image-skipped { color: #888; }
+.title-page { text-align: center; }
+.title-page p { text-indent: 0; }
+.title-page .synopsis { text-align: left; }
+.report p { text-indent: 0; word-break: break-all; }
+`);
+
+    const chapterItems = chapters.map((chapter, index) => ({
+        id: `chapter-${index + 1}`,
+        href: `chapter-${String(index + 1).padStart(4, "0")}.xhtml`,
+        title: chapter.episodeTitle,
+        chapter,
+    }));
+
+    for (const item of chapterItems) {
+        zip.file(
+            `OEBPS/${item.href}`,
+            buildXhtmlDocument(
+                item.title,
+                `<section epub:type="chapter">\n<h1>${escapeXml(item.title)}</h1>\n${renderDocumentAsHtml(getChapterDocument(item.chapter), { resolveImage: (image) => image.file || null })}\n</section>`,
+            ),
+        );
+    }
+
+    zip.file(
+        "OEBPS/report.xhtml",
+        buildXhtmlDocument(
+            "Download Report",
+            `<section epub:type="appendix" class="report">\n<h1>Download Report</h1>\n${renderDocumentAsHtml(textToChapterDocument(reportContent.replace(/\n/g, "\n\n")))}\n</section>`,
+        ),
+    );
+
+    for (const image of images) {
+        zip.file(`OEBPS/${image.file}`, image.data);
+    }
+
+    const hasTitlePage = Boolean(cover || metadata.description);
+    if (cover) {
+        zip.file(`OEBPS/${cover.file}`, cover.data);
+    }
+    if (hasTitlePage) {
+        const details = [
+            metadata.author ? `<p class="author">${escapeXml(metadata.author)}</p>` : "",
+            metadata.status ? `<p class="status">${escapeXml(formatNovelStatus(metadata.status))}</p>` : "",
+            metadata.tags.length > 0 ? `<p class="tags">${escapeXml(metadata.tags.join(", "))}</p>` : "",
+        ].filter(Boolean).join("\n");
+        zip.file(
+            "OEBPS/title.xhtml",
+            buildXhtmlDocument(
+                title,
+                `<section epub:type="titlepage" class="title-page">
+${cover ? `<img src="${escapeXml(cover.file)}" alt="${escapeXml(title)}"/>\n` : ""}<h1>${escapeXml(title)}</h1>
+${details}
+${metadata.description ? `<div class="synopsis">\n${renderDocumentAsHtml(textToChapterDocument(metadata.description))}\n</div>` : ""}
+</section>`,
+            ),
+        );
+    }
+
+    const tocEntries = chapterItems
+        .map((item) => `<li><a href="${item.href}">${escapeXml(item.title)}</a></li>`)
+        .join("\n");
+    zip.file(
+        "OEBPS/nav.xhtml",
+        buildXhtmlDocument(
+            title,
+            `<nav epub:type="toc" id="toc">\n<h1>${escapeXml(title)}</h1>\n<ol>\n${tocEntries}\n<li><a href="report.xhtml">Download Report</a></li>\n</ol>\n</nav>`,
+        ),
+    );
+
+    const modified = new Date().toISOString().replace(/\.\d{3}Z$/, "Z");
+    const manifestItems = chapterItems
+        .map((item) => `<item id="${item.id}" href="${item.href}" media-type="application/xhtml+xml"/>`)
+        .join("\n");
+    const imageManifestItems = images
+        .map((image, index) => `<item id="image-${index + 1}" href="${escapeXml(image.file)}" media-type="${image.mediaType}"/>`)
+        .join("\n");
+    const metadataElements = [
+        metadata.author ? `<dc:creator>${escapeXml(metadata.author)}</dc:creator>` : null,
+        metadata.description ? `<dc:description>${escapeXml(metadata.description)}</dc:description>` : null,
+        ...metadata.tags.map((tag) => `<dc:subject>${escapeXml(tag)}</dc:subject>`),
+        metadata.status ? `<meta property="novel-dl:status">${escapeXml(metadata.status)}</meta>` : null,
+        cover ? `<meta name="cover" content="cover-image"/>` : null,
+    ].filter(Boolean).map((element) => `${element}\n`).join("");
+    const spineItems = chapterItems
+        .map((item) => `<itemref idref="${item.id}"/>`)
+        .join("\n");
+
+    zip.file("OEBPS/content.opf", `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="ko" prefix="novel-dl: https://github.com/yeorinhieut/novel-dl#">
+<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+<dc:identifier id="book-id">urn:uuid:${bookId}</dc:identifier>
+<dc:title>${escapeXml(title)}</dc:title>
+<dc:language>ko</dc:language>
+${metadataElements}<meta property="dcterms:modified">${modified}</meta>
+</metadata>
+<manifest>
+<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+<item id="style" href="style.css" media-type="text/css"/>
+${cover ? `<item id="cover-image" href="${escapeXml(cover.file)}" media-type="${cover.mediaType}" properties="cover-image"/>\n` : ""}${hasTitlePage ? `<item id="title-page" href="title.xhtml" media-type="application/xhtml+xml"/>\n` : ""}${manifestItems}
+${imageManifestItems}
+<item id="report" href="report.xhtml" media-type="application/xhtml+xml"/>
+</manifest>
+<spine>
+${hasTitlePage ? `<itemref idref="title-page"/>\n` : ""}<itemref idref="nav" linear="no"/>
+${spineItems}
+<itemref idref="report" linear="no"/>
+</spine>
+</package>
+`);
+}
+
+
+// Part 9: Resumable Downloads (IndexedDB)
+
+const NOVEL_DB_NAME = "novel-dl";
+const NOVEL_DB_VERSION = 4;
+
+/** IDs of jobs currently running in this tab, so they are not offered for resuming. */
+const activeDownloadJobIds = new Set();
+
+let novelDbPromise = null;
+
+/**
+ * Opens (and creates or upgrades if needed) the IndexedDB database used by the downloader.
+ * @returns {Promise<IDBDatabase>} The opened database.
+ */
+function openNovelDb() {
+    if (novelDbPromise) {
+        return novelDbPromise;
+    }
+
+    novelDbPromise = new Promise((resolve, reject) => {
+        if (!("indexedDB" in window)) {
+            reject(new Error("IndexedDB is not supported in this browser."));
+            return;
+        }
+
+        const request = indexedDB.open(NOVEL_DB_NAME, NOVEL_DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains("jobs")) {
+                db.createObjectStore("jobs", { keyPath: "id" });
+            }
+            if (!db.objectStoreNames.contains("chapters")) {
+                const chapterStore = db.createObjectStore("chapters", { keyPath: ["jobId", "url"] });
+                chapterStore.createIndex("jobId", "jobId", { unique: false });
+            }
+            // Added in version 2; keyed by novel instead of list URL since version 4
+            if (!db.objectStoreNames.contains("library")) {
+                db.createObjectStore("library", { keyPath: "novelKey" });
+            } else if (request.transaction.objectStore("library").keyPath === "listUrl") {
+                rekeyLibraryStore(db, request.transaction);
+            }
+            // Added in version 3: illustrations are stored once per job instead of with every chapter
+            if (!db.objectStoreNames.contains("images")) {
+                const imageStore = db.createObjectStore("images", { keyPath: ["jobId", "file"] });
+                imageStore.createIndex("jobId", "jobId", { unique: false });
+                moveChapterImagesToImageStore(request.transaction);
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    // Allow a later call to retry if opening failed
+    novelDbPromise.catch(() => {
+        novelDbPromise = null;
+    });
+
+    return novelDbPromise;
+}
+
+/**
+ * Recreates the "library" store of older versions, which was keyed by list URL, keyed by novel
+ * (see getNovelKey). Entries of the same novel saved from different mirror domains become one.
+ * @param {IDBDatabase} db - The database being upgraded.
+ * @param {IDBTransaction} transaction - The version change transaction.
+ */
+function rekeyLibraryStore(db, transaction) {
+    const request = transaction.objectStore("library").getAll();
+    request.onsuccess = () => {
+        const entries = new Map();
+        for (const entry of request.result) {
+            const novelKey = getNovelKey(entry.listUrl, entry.adapterId);
+            const stored = entries.get(novelKey);
+            entries.set(novelKey, stored ? mergeLibraryEntries(stored, entry) : { ...entry, novelKey });
+        }
+        db.deleteObjectStore("library");
+        const libraryStore = db.createObjectStore("library", { keyPath: "novelKey" });
+        for (const entry of entries.values()) {
+            libraryStore.put(entry);
+        }
+    };
+}
+
+/**
+ * Moves the illustrations older versions stored inside each chapter record into the "images" store,
+ * leaving only references on the chapters.
+ * @param {IDBTransaction} transaction - The version change transaction.
+ */
+function moveChapterImagesToImageStore(transaction) {
+    const imageStore = transaction.objectStore("images");
+    const request = transaction.objectStore("chapters").openCursor();
+    request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+            return;
+        }
+        const record = cursor.value;
+        if ((record.images || []).some((image) => image.data)) {
+            for (const image of record.images) {
+                if (image.data) {
+                    imageStore.put({ ...toImageReference(image), jobId: record.jobId, data: image.data });
+                }
+            }
+            cursor.update({ ...record, images: record.images.map(toImageReference) });
+        }
+        cursor.continue();
+    };
+}
+
+/**
+ * Wraps an IDBRequest in a promise.
+ * @param {IDBRequest} request - The IndexedDB request.
+ * @returns {Promise<*>} Resolves with the request result.
+ */
+function idbRequestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Runs a callback inside an IndexedDB transaction and resolves once the transaction completes.
+ * @param {string|Array<string>} storeNames - The object store(s) used by the transaction.
+ * @param {IDBTransactionMode} mode - "readonly" or "readwrite".
+ * @param {function(IDBTransaction): *} callback - Receives the transaction; its return value is resolved.
+ * @returns {Promise<*>} The value returned (or resolved) by the callback.
+ */
+async function runNovelDbTransaction(storeNames, mode, callback) {
+    const db = await openNovelDb();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeNames, mode);
+        let result;
+        Promise.resolve(callback(transaction)).then((value) => {
+            result = value;
+        }, reject);
+        transaction.oncomplete = () => resolve(result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Stores (or replaces) a download job record.
+ * @param {object} job - The job record. Must contain an `id`.
+ * @returns {Promise<void>}
+ */
+async function saveDownloadJob(job) {
+    await runNovelDbTransaction("jobs", "readwrite", (transaction) => {
+        transaction.objectStore("jobs").put(job);
+    });
+}
+
+/**
+ * Merges changes into an existing download job record.
+ * @param {string} jobId - The job ID.
+ * @param {object} changes - The fields to update.
+ * @returns {Promise<void>}
+ */
+async function updateDownloadJob(jobId, changes) {
+    await runNovelDbTransaction("jobs", "readwrite", async (transaction) => {
+        const store = transaction.objectStore("jobs");
+        const job = await idbRequestToPromise(store.get(jobId));
+        if (job) {
+            store.put({ ...job, ...changes });
+        }
+    });
+}
+
+/**
+ * Lists all stored download jobs that have not been saved yet, newest first.
+ * Each job includes a `storedCount` with the number of chapters already downloaded.
+ * @returns {Promise<Array<object>>} The unfinished jobs.
+ */
+async function listUnfinishedDownloadJobs() {
+    return runNovelDbTransaction(["jobs", "chapters"], "readonly", async (transaction) => {
+        const jobs = await idbRequestToPromise(transaction.objectStore("jobs").getAll());
+        const chapterIndex = transaction.objectStore("chapters").index("jobId");
+        for (const job of jobs) {
+            job.storedCount = await idbRequestToPromise(chapterIndex.count(job.id));
+        }
+        return jobs
+            .filter((job) => !activeDownloadJobIds.has(job.id))
+            .sort((a, b) => b.updatedAt - a.updatedAt);
+    });
+}
+
+/**
+ * Deletes a download job and all of its stored chapters and illustrations.
+ * @param {string} jobId - The job ID.
+ * @returns {Promise<void>}
+ */
+async function deleteDownloadJob(jobId) {
+    await runNovelDbTransaction(["jobs", "chapters", "images"], "readwrite", async (transaction) => {
+        transaction.objectStore("jobs").delete(jobId);
+        for (const storeName of ["chapters", "images"]) {
+            const store = transaction.objectStore(storeName);
+            const keys = await idbRequestToPromise(store.index("jobId").getAllKeys(jobId));
+            for (const key of keys) {
+                store.delete(key);
+            }
+        }
+    });
+}
+
+/**
+ * Stores a successfully fetched chapter for a job. Its illustrations are stored separately (see saveJobImage),
+ * so `chapter.images` should only hold references (see toImageReference).
+ * @param {string} jobId - The job ID.
+ * @param {{url: string, episodeTitle: string, content: string}} chapter - The chapter data.
+ * @returns {Promise<void>}
+ */
+async function saveJobChapter(jobId, chapter) {
+    await runNovelDbTransaction("chapters", "readwrite", (transaction) => {
+        transaction.objectStore("chapters").put({ ...chapter, jobId, storedAt: Date.now() });
+    });
+}
+
+/**
+ * Reduces an illustration to the reference chapters keep; the data itself is stored once per job.
+ * @param {{file: string, mediaType: string, size: (number|undefined), data: (ArrayBuffer|undefined)}} image - The image.
+ * @returns {{file: string, mediaType: string, size: number}} The reference.
+ */
+function toImageReference(image) {
+    return { file: image.file, mediaType: image.mediaType, size: image.size ?? image.data?.byteLength ?? 0 };
+}
+
+/**
+ * Stores an illustration for a job. Chapters using the same image share this one copy.
+ * @param {string} jobId - The job ID.
+ * @param {{file: string, mediaType: string, data: ArrayBuffer}} image - The image.
+ * @returns {Promise<void>}
+ */
+async function saveJobImage(jobId, image) {
+    await runNovelDbTransaction("images", "readwrite", (transaction) => {
+        transaction.objectStore("images").put({ ...toImageReference(image), jobId, data: image.data });
+    });
+}
+
+/**
+ * Loads some of the stored illustrations of a job.
+ * @param {string} jobId - The job ID.
+ * @param {Array<string>} files - The image paths to load.
+ * @returns {Promise<Map<string, {file: string, mediaType: string, size: number, data: ArrayBuffer}>>} The images found, keyed by path.
+ */
+async function getStoredJobImages(jobId, files) {
+    const records = await runNovelDbTransaction("images", "readonly", (transaction) => {
+        const store = transaction.objectStore("images");
+        return Promise.all(files.map((file) => idbRequestToPromise(store.get([jobId, file]))));
+    });
+    const images = new Map();
+    for (const { jobId: _jobId, ...image } of records.filter(Boolean)) {
+        images.set(image.file, image);
+    }
+    return images;
+}
+
+/**
+ * Turns a stored chapter record back into a chapter.
+ * @param {object} record - The record from the "chapters" store.
+ * @returns {{url: string, number: (number|null), episodeTitle: string, content: string, document: (ChapterDocument|undefined), images: (Array<object>|undefined), fetchedAt: number}}
+ * The chapter; `images` holds references (see toImageReference). Chapters stored by older versions have no `document`.
+ */
+function fromStoredChapterRecord({ jobId: _jobId, storedAt, ...chapter }) {
+    return { ...chapter, number: chapter.number ?? null, fetchedAt: chapter.fetchedAt ?? storedAt };
+}
+
+/**
+ * Reduces a chapter to what a running download keeps in memory once the chapter is stored.
+ * The text and document model stay in IndexedDB until the output is generated (see getStoredJobChapters).
+ * @param {object} chapter - The full chapter.
+ * @returns {{url: string, number: (number|null), episodeTitle: string, images: (Array<object>|undefined), fetchedAt: number, size: number, textLength: number, stored: true}}
+ * The chapter summary; `textLength` is the length of the text, used to record chapter positions in TXT downloads.
+ */
+function toStoredChapterSummary(chapter) {
+    return {
+        url: chapter.url,
+        number: chapter.number ?? null,
+        episodeTitle: chapter.episodeTitle,
+        images: chapter.images,
+        fetchedAt: chapter.fetchedAt,
+        size: getChapterOutputSize(chapter),
+        textLength: chapter.content.length,
+        stored: true,
+    };
+}
+
+/**
+ * Lists the stored chapters of a job without keeping their text in memory.
+ * Records are read one at a time with a cursor, so resuming a novel of thousands of chapters stays cheap.
+ * @param {string} jobId - The job ID.
+ * @returns {Promise<Map<string, object>>} Chapter summaries (see toStoredChapterSummary) keyed by URL.
+ */
+async function getJobChapterSummaries(jobId) {
+    return runNovelDbTransaction("chapters", "readonly", (transaction) => new Promise((resolve, reject) => {
+        const summaries = new Map();
+        const request = transaction.objectStore("chapters").index("jobId").openCursor(IDBKeyRange.only(jobId));
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) {
+                resolve(summaries);
+                return;
+            }
+            const chapter = fromStoredChapterRecord(cursor.value);
+            summaries.set(chapter.url, toStoredChapterSummary(chapter));
+            cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+    }));
+}
+
+/**
+ * Loads some of the stored chapters of a job.
+ * @param {string} jobId - The job ID.
+ * @param {Array<string>} urls - The chapter URLs to load.
+ * @returns {Promise<Map<string, object>>} The chapters found, keyed by URL (see fromStoredChapterRecord).
+ */
+async function getStoredJobChapters(jobId, urls) {
+    const records = await runNovelDbTransaction("chapters", "readonly", (transaction) => {
+        const store = transaction.objectStore("chapters");
+        return Promise.all(urls.map((url) => idbRequestToPromise(store.get([jobId, url]))));
+    });
+    const chapters = new Map();
+    for (const record of records) {
+        if (record) {
+            chapters.set(record.url, fromStoredChapterRecord(record));
+        }
+    }
+    return chapters;
+}
+
+/**
+ * Displays a dialog listing interrupted downloads, allowing the user to resume or discard them.
+ */
+async function showResumeDialog() {
+    let jobs;
+    try {
+        jobs = await listUnfinishedDownloadJobs();
+    } catch (e) {
+        console.error("[showResumeDialog] Failed to read stored jobs:", e);
+        showNotification("Resume Unavailable", "Could not access browser storage (IndexedDB).");
+        return;
+    }
+
+    if (jobs.length === 0) {
+        showNotification("Nothing to Resume", "There are no unfinished downloads.");
+        return;
+    }
+
+    const dialog = document.createElement("div");
+    Object.assign(dialog.style, {
+        position: "fixed",
+        zIndex: "9999",
+        left: "0",
+        top: "0",
+        width: "100%",
+        height: "100%",
+        backgroundColor: "rgba(0,0,0,0.5)",
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+        fontFamily:
+            '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif',
+    });
+
+    const dialogContent = document.createElement("div");
+    Object.assign(dialogContent.style, {
+        backgroundColor: "#fff",
+        borderRadius: "12px",
+        boxShadow: "0 4px 24px rgba(0,0,0,0.15)",
+        width: "420px",
+        maxWidth: "90%",
+        padding: "24px",
+        animation: "fadeIn 0.3s",
+    });
+
+    const dialogTitle = document.createElement("h3");
+    dialogTitle.textContent = "Resume Unfinished Download";
+    Object.assign(dialogTitle.style, {
+        margin: "0 0 20px 0",
+        color: "#172238",
+        fontSize: "18px",
+        fontWeight: "600",
+    });
+    dialogContent.appendChild(dialogTitle);
+
+    const jobList = document.createElement("div");
+    Object.assign(jobList.style, {
+        display: "flex",
+        flexDirection: "column",
+        gap: "12px",
+        maxHeight: "50vh",
+        overflowY: "auto",
+        marginBottom: "20px",
+    });
+    dialogContent.appendChild(jobList);
+
+    for (const job of jobs) {
+        const jobItem = document.createElement("div");
+        Object.assign(jobItem.style, {
+            padding: "14px",
+            border: "1px solid #e4e9f0",
+            borderRadius: "8px",
+            backgroundColor: "#f9f9fb",
+        });
+
+        const jobTitle = document.createElement("div");
+        jobTitle.textContent = job.title;
+        Object.assign(jobTitle.style, {
+            fontWeight: "600",
+            color: "#172238",
+            marginBottom: "4px",
+        });
+        jobItem.appendChild(jobTitle);
+
+        const jobInfo = document.createElement("div");
+        jobInfo.textContent = `${job.storedCount}/${(job.episodes || job.urls).length} chapters saved · ${job.saveMode.toUpperCase()} · ${new Date(job.updatedAt).toLocaleString()}`;
+        Object.assign(jobInfo.style, {
+            fontSize: "13px",
+            color: "#666",
+            marginBottom: "10px",
+        });
+        jobItem.appendChild(jobInfo);
+
+        const jobButtons = document.createElement("div");
+        Object.assign(jobButtons.style, {
+            display: "flex",
+            gap: "8px",
+        });
+
+        const resumeButton = document.createElement("button");
+        resumeButton.textContent = "Resume";
+        Object.assign(resumeButton.style, {
+            flex: "1",
+            padding: "8px",
+            border: "none",
+            borderRadius: "8px",
+            backgroundColor: "#3a7bd5",
+            color: "white",
+            cursor: "pointer",
+            fontSize: "14px",
+            fontWeight: "500",
+        });
+        resumeButton.onmouseover = () => { resumeButton.style.backgroundColor = "#2d62aa"; };
+        resumeButton.onmouseout = () => { resumeButton.style.backgroundColor = "#3a7bd5"; };
+        resumeButton.onclick = () => {
+            document.body.removeChild(dialog);
+            processDownloadCore(
+                job.title,
+                job.episodes || job.urls, // Jobs stored by older versions only have URLs
+                job.delayMs,
+                job.saveMode,
+                job.originalFileNameForReport,
+                job.initialStartEpisode,
+                job.initialEndEpisode,
+                { ...job.options, resumeJobId: job.id },
+            );
+        };
+        jobButtons.appendChild(resumeButton);
+
+        const deleteButton = document.createElement("button");
+        deleteButton.textContent = "Discard";
+        Object.assign(deleteButton.style, {
+            flex: "1",
+            padding: "8px",
+            border: "1px solid #e4e9f0",
+            borderRadius: "8px",
+            backgroundColor: "#fff",
+            cursor: "pointer",
+            fontSize: "14px",
+            fontWeight: "500",
+        });
+        deleteButton.onclick = () => {
+            showConfirmationModal("Discard Download", `Delete the stored chapters of "${job.title}"?`, async () => {
+                try {
+                    await deleteDownloadJob(job.id);
+                    jobList.removeChild(jobItem);
+                    if (jobList.childElementCount === 0) {
+                        document.body.removeChild(dialog);
+                    }
+                } catch (e) {
+                    console.error("[showResumeDialog] Failed to delete job:", e);
+                    showNotification("Delete Failed", "Could not delete the stored download.");
+                }
+            });
+        };
+        jobButtons.appendChild(deleteButton);
+
+        jobItem.appendChild(jobButtons);
+        jobList.appendChild(jobItem);
+    }
+
+    const closeButton = document.createElement("button");
+    closeButton.textContent = "Close";
+    Object.assign(closeButton.style, {
+        width: "100%",
+        padding: "10px",
+        border: "1px solid #e4e9f0",
+        borderRadius: "8px",
+        backgroundColor: "#f9f9fb",
+        cursor: "pointer",
+        fontSize: "14px",
+        fontWeight: "500",
+        transition: "all 0.2s ease",
+    });
+    closeButton.onmouseover = () => { closeButton.style.backgroundColor = "#f0f2f8"; };
+    closeButton.onmouseout = () => { closeButton.style.backgroundColor = "#f9f9fb"; };
+    closeButton.onclick = () => document.body.removeChild(dialog);
+    dialogContent.appendChild(closeButton);
+
+    dialog.appendChild(dialogContent);
+    document.body.appendChild(dialog);
+
+    setModalAccessibility(dialog, null, () => document.body.removeChild(dialog), null);
+}
+
+
+// Part 10: Site Adapters
+
+/**
+ * @typedef {object} SiteAdapter
+ * @property {string} id - Unique adapter identifier (e.g. "booktoki").
+ * @property {string} name - Human-readable site name.
+ * @property {function(string): boolean} matchUrl - Returns true if the adapter handles the given URL.
+ * @property {function(Document): (string|null)} extractNovelTitle - Extracts the novel title from a list page.
+ * @property {function(string, number): string} getListPageUrl - Builds the URL of list page N (1-based) from the list URL without query.
+ * @property {function(Document): (number|null)} [getLastListPage] - Optional. Reads the last list page number from the pager.
+ * @property {function(Document): Array<string>} extractEpisodeLinks - Extracts episode URLs from a list page.
+ * @property {function(Document): Array<{url: string, title: string}>} [extractEpisodeList] - Optional. Extracts the
+ * episode URLs together with their titles, for the chapter picker. Falls back to extractEpisodeLinks without titles.
+ * @property {function(Document): (string|null)} extractChapterTitle - Extracts the episode title from a chapter page.
+ * @property {function(Document): (Element|null)} extractChapterContent - Returns the element holding the chapter text.
+ * @property {function(Response, (Document|null)): boolean} isBlockedPage - Detects CAPTCHA/block pages. Called once
+ * with only the response and again with the parsed document.
+ * @property {function(Document): Partial<NovelMetadata>} [extractNovelMetadata] - Optional. Reads metadata from a
+ * list page. Fields it leaves out fall back to the page's Open Graph tags.
+ */
+
+/**
+ * @typedef {object} NovelMetadata
+ * @property {string} author - The author, or "" if unknown.
+ * @property {string} coverUrl - Absolute URL of the cover image, or "".
+ * @property {string} description - The synopsis, or "".
+ * @property {Array<string>} tags - Genres and tags.
+ * @property {string} status - "ongoing", "completed", another site-specific status, or "".
+ */
+
+/** Registered site adapters, checked in registration order. */
+const siteAdapters = [];
+
+/**
+ * Registers a site adapter so its URLs can be crawled and downloaded.
+ * @param {SiteAdapter} adapter - The adapter to register.
+ */
+function registerSiteAdapter(adapter) {
+    const existingIndex = siteAdapters.findIndex((a) => a.id === adapter.id);
+    if (existingIndex !== -1) {
+        siteAdapters.splice(existingIndex, 1, adapter);
+    } else {
+        siteAdapters.push(adapter);
+    }
+}
+
+/**
+ * Finds the site adapter responsible for a URL.
+ * @param {string} url - The URL to match.
+ * @returns {SiteAdapter|null} The matching adapter or null if the site is unsupported.
+ */
+function findSiteAdapter(url) {
+    if (!url) {
+        return null;
+    }
+    return siteAdapters.find((adapter) => adapter.matchUrl(url)) || null;
+}
+
+/**
+ * Returns the first element matching one of the given selectors.
+ * @param {Document|Element} root - The node to search in.
+ * @param {Array<string>} selectors - Selectors to try in order.
+ * @param {string} logPrefix - Prefix for the debug log message.
+ * @returns {Element|null} The first matching element, or null.
+ */
+function querySelectorFirst(root, selectors, logPrefix) {
+    for (const selector of selectors) {
+        const element = root.querySelector(selector);
+        if (element) {
+            console.log(`${logPrefix} selector found: ${selector}`);
+            return element;
+        }
+    }
+    return null;
+}
+
+/** Built-in adapter for BookToki and its numbered mirror domains. */
+const bookTokiAdapter = {
+    id: "booktoki",
+    name: "BookToki",
+
+    matchUrl(url) {
+        return url.startsWith("https://booktoki");
+    },
+
+    extractNovelTitle(doc) {
+        const titleElement = doc.evaluate(
+            '//*[@id="content_wrapper"]/div[1]/span',
+            doc,
+            null,
+            XPathResult.FIRST_ORDERED_NODE_TYPE,
+            null,
+        ).singleNodeValue;
+        return titleElement ? titleElement.textContent.trim() : null;
+    },
+
+    getListPageUrl(listUrl, page) {
+        return `${listUrl}?spage=${page}`;
+    },
+
+    extractNovelMetadata(doc) {
+        // The info box lists "label : value" pairs, e.g. "작가 : 홍길동", "분류 : 판타지"
+        const info = {};
+        const infoBox = querySelectorFirst(doc, [".view-content", ".novel-info", ".toon-info"], "[booktoki] Info");
+        for (const line of (infoBox ? infoBox.innerText || infoBox.textContent : "").split("\n")) {
+            const match = line.match(/^\s*(작가|저자|글|분류|장르|태그|발행구분|연재상태|상태)\s*[:：|]\s*(.+?)\s*$/);
+            if (match) {
+                info[match[1]] = match[2];
+            }
+        }
+        const status = info["발행구분"] || info["연재상태"] || info["상태"] || "";
+        const cover = querySelectorFirst(doc, [".view-img img", ".novel-cover img", ".toon-img img"], "[booktoki] Cover");
+        const description = querySelectorFirst(doc, [".view-content .synopsis", ".novel-summary", ".view-content p"], "[booktoki] Synopsis");
+
+        return {
+            author: info["작가"] || info["저자"] || info["글"] || "",
+            coverUrl: cover ? cover.getAttribute("data-src") || cover.getAttribute("src") || "" : "",
+            description: description ? description.textContent.trim() : "",
+            tags: (info["분류"] || info["장르"] || info["태그"] || "").split(/[,/#]/),
+            status: /완결/.test(status) ? "completed" : /연재/.test(status) ? "ongoing" : status,
+        };
+    },
+
+    getLastListPage(doc) {
+        let lastPage = null;
+        for (const link of doc.querySelectorAll('.pagination a[href*="spage="], .pg_wrap a[href*="spage="]')) {
+            const match = link.getAttribute("href").match(/[?&]spage=(\d+)/);
+            if (match) {
+                lastPage = Math.max(lastPage || 0, Number.parseInt(match[1], 10));
+            }
+        }
+        return lastPage;
+    },
+
+    extractEpisodeLinks(doc) {
+        return bookTokiAdapter.extractEpisodeList(doc).map((episode) => episode.url);
+    },
+
+    extractEpisodeList(doc) {
+        return Array.from(doc.querySelectorAll(".item-subject"))
+            .filter((link) => link.getAttribute("href"))
+            .map((link) => ({
+                url: link.getAttribute("href"),
+                title: link.textContent.replace(/\s+/g, " ").trim(),
+            }));
+    },
+
+    extractChapterTitle(doc) {
+        const titleElement = querySelectorFirst(
+            doc,
+            [".toon-title", ".view-title", "h1.title", ".post-title", ".entry-title"],
+            "[booktoki] Title",
+        );
+        if (!titleElement) {
+            return null;
+        }
+        return (
+            titleElement.getAttribute("title") ||
+            titleElement.textContent.split("<br>")[0].trim() ||
+            null
+        );
+    },
+
+    extractChapterContent(doc) {
+        return querySelectorFirst(
+            doc,
+            ["#novel_content", ".novel-content", ".view-content", ".entry-content", ".post-content"],
+            "[booktoki] Content",
+        );
+    },
+
+    isBlockedPage(response, doc) {
+        if (!doc) {
+            return response.status === 403;
+        }
+        return Boolean(
+            doc.querySelector('form[name="fcaptcha"], #captcha_key, .captcha-box') ||
+            /\/captcha/i.test(response.url || ""),
+        );
+    },
+};
+
+registerSiteAdapter(bookTokiAdapter);
+
+
+// Part 11: Text Post-processing Rules
+
+/**
+ * @typedef {object} TextRule
+ * One user-defined post-processing step, applied in order after a chapter has been converted.
+ * @property {string} type - A key of TEXT_RULE_TYPES.
+ * @property {boolean} enabled - Disabled rules are kept but skipped.
+ * @property {string} [pattern] - Regular expression source ("replace" and "dropLine").
+ * @property {string} [flags] - Regular expression flags, e.g. "i".
+ * @property {string} [replacement] - Replacement text ("replace"); supports $1 style groups.
+ * @property {number} [count] - How many leading lines to check ("dropTitleLines").
+ */
+
+/** Rule types offered in the rules editor. */
+const TEXT_RULE_TYPES = {
+    replace: "Replace text (regex)",
+    dropLine: "Drop lines matching (regex)",
+    dropTitleLines: "Drop first N lines equal to the title",
+    collapseDuplicates: "Collapse repeated lines",
+};
+
+const TEXT_RULES_STORAGE_PREFIX = "novel-dl:text-rules:";
+
+/**
+ * Loads the post-processing rules saved for a site.
+ * @param {string|undefined} siteId - The site adapter ID.
+ * @returns {Array<TextRule>} The saved rules, or an empty list.
+ */
+function loadTextRules(siteId) {
+    if (!siteId) {
+        return [];
+    }
+    try {
+        const rules = JSON.parse(localStorage.getItem(TEXT_RULES_STORAGE_PREFIX + siteId) || "[]");
+        return Array.isArray(rules) ? rules.filter((rule) => TEXT_RULE_TYPES[rule?.type]) : [];
+    } catch (e) {
+        console.warn(`[loadTextRules] Ignoring unreadable rules for ${siteId}:`, e);
+        return [];
+    }
+}
+
+/**
+ * Saves the post-processing rules for a site.
+ * @param {string} siteId - The site adapter ID.
+ * @param {Array<TextRule>} rules - The rules, in order.
+ */
+function saveTextRules(siteId, rules) {
+    localStorage.setItem(TEXT_RULES_STORAGE_PREFIX + siteId, JSON.stringify(rules));
+}
+
+/**
+ * Checks a rule before it is saved or applied.
+ * @param {TextRule} rule - The rule.
+ * @returns {string|null} An error message, or null if the rule is valid.
+ */
+function validateTextRule(rule) {
+    if (rule.type === "replace" || rule.type === "dropLine") {
+        if (!rule.pattern) {
+            return "Enter a pattern.";
+        }
+        try {
+            new RegExp(rule.pattern, rule.flags || "");
+        } catch (e) {
+            return `Invalid pattern: ${e.message}`;
+        }
+    }
+    if (rule.type === "dropTitleLines" && !(Number.isInteger(rule.count) && rule.count >= 1)) {
+        return "Enter a number of lines (1 or more).";
+    }
+    return null;
+}
+
+/**
+ * Runs the post-processing rules over a chapter. Replacements work on each stretch of
+ * identically formatted text, so formatting and images are kept; line rules work on whole
+ * paragraphs as they appear in the TXT output.
+ * @param {{episodeTitle: string, content: string, document: ChapterDocument}} chapter - The chapter; modified in place.
+ * @param {Array<TextRule>} rules - The rules, in order.
+ */
+function applyTextRules(chapter, rules) {
+    const activeRules = rules.filter((rule) => rule.enabled !== false);
+    if (activeRules.length === 0) {
+        return;
+    }
+
+    const normalizeLine = (text) => text.replace(/\s+/g, " ").trim();
+    const hasContent = (block) => block.type === "sceneBreak"
+        || block.children.some((inline) => inline.type === "image" || inlineToText(inline).trim());
+    let blocks = chapter.document.blocks;
+
+    for (const rule of activeRules) {
+        const error = validateTextRule(rule);
+        if (error) {
+            console.warn(`[applyTextRules] Skipping ${rule.type} rule: ${error}`);
+            continue;
+        }
+
+        if (rule.type === "replace") {
+            const flags = rule.flags?.includes("g") ? rule.flags : `${rule.flags || ""}g`;
+            const pattern = new RegExp(rule.pattern, flags);
+            for (const block of blocks) {
+                for (const inline of block.children || []) {
+                    if (inline.type === "text") {
+                        inline.text = inline.text.replace(pattern, rule.replacement || "");
+                    }
+                }
+            }
+            blocks = blocks.filter(hasContent);
+        } else if (rule.type === "dropLine") {
+            const pattern = new RegExp(rule.pattern, (rule.flags || "").replace("g", ""));
+            blocks = blocks.filter((block) => block.type === "sceneBreak" || !pattern.test(renderInlinesAsText(block.children)));
+        } else if (rule.type === "dropTitleLines") {
+            const title = normalizeLine(chapter.episodeTitle);
+            blocks = blocks.filter((block, index) => index >= rule.count
+                || block.type === "sceneBreak"
+                || normalizeLine(renderInlinesAsText(block.children)) !== title);
+        } else if (rule.type === "collapseDuplicates") {
+            blocks = blocks.filter((block, index) => {
+                const previous = blocks[index - 1];
+                if (!previous || previous.type !== block.type) {
+                    return true;
+                }
+                return block.type !== "sceneBreak"
+                    && renderInlinesAsText(block.children) !== renderInlinesAsText(previous.children);
+            });
+        }
+    }
+
+    chapter.document.blocks = blocks;
+    chapter.content = renderDocumentAsText(chapter.document);
+}
+
+/**
+ * Displays the rules editor for a site: an ordered list of rules with a live preview of their
+ * effect on a sample chapter.
+ * @param {SiteAdapter} adapter - The site the rules belong to.
+ * @param {string|null} sampleUrl - A chapter URL to load as the preview sample.
+ */
+function showTextRulesDialog(adapter, sampleUrl) {
+    let rules = loadTextRules(adapter.id).map((rule) => ({ ...rule }));
+    let sampleTitle = "";
+    let sampleDocument = null; // The loaded chapter as downloads see it; cleared once the text is edited
+
+    const dialog = document.createElement("div");
+    Object.assign(dialog.style, {
+        position: "fixed",
+        zIndex: "9999",
+        left: "0",
+        top: "0",
+        width: "100%",
+        height: "100%",
+        backgroundColor: "rgba(0,0,0,0.5)",
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+        fontFamily:
+            '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif',
+    });
+
+    const dialogContent = document.createElement("div");
+    Object.assign(dialogContent.style, {
+        backgroundColor: "#fff",
+        borderRadius: "12px",
+        boxShadow: "0 4px 24px rgba(0,0,0,0.15)",
+        width: "640px",
+        maxWidth: "95%",
+        maxHeight: "90vh",
+        overflowY: "auto",
+        padding: "24px",
+        animation: "fadeIn 0.3s",
+        boxSizing: "border-box",
+    });
+
+    const dialogTitle = document.createElement("h3");
+    dialogTitle.textContent = `Text Rules for ${adapter.name}`;
+    Object.assign(dialogTitle.style, {
+        margin: "0 0 8px 0",
+        color: "#172238",
+        fontSize: "18px",
+        fontWeight: "600",
+    });
+    dialogContent.appendChild(dialogTitle);
+
+    const dialogDescription = document.createElement("div");
+    dialogDescription.textContent = "Rules run from top to bottom on every downloaded chapter and are saved for this site.";
+    Object.assign(dialogDescription.style, {
+        fontSize: "13px",
+        color: "#666",
+        marginBottom: "16px",
+    });
+    dialogContent.appendChild(dialogDescription);
+
+    const ruleList = document.createElement("div");
+    Object.assign(ruleList.style, {
+        display: "flex",
+        flexDirection: "column",
+        gap: "8px",
+        marginBottom: "12px",
+    });
+    dialogContent.appendChild(ruleList);
+
+    const fieldStyle = {
+        padding: "6px 8px",
+        border: "1px solid #e4e9f0",
+        borderRadius: "6px",
+        fontSize: "13px",
+        boxSizing: "border-box",
+        minWidth: "0",
+    };
+    const smallButtonStyle = {
+        padding: "6px 8px",
+        border: "1px solid #e4e9f0",
+        borderRadius: "6px",
+        backgroundColor: "#f9f9fb",
+        cursor: "pointer",
+        fontSize: "13px",
+    };
+
+    // Preview of the sample chapter after the rules
+    const previewHeader = document.createElement("div");
+    Object.assign(previewHeader.style, {
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "space-between",
+        margin: "16px 0 8px",
+        fontSize: "14px",
+        color: "#444",
+        fontWeight: "500",
+    });
+    const previewLabel = document.createElement("span");
+    previewLabel.textContent = "Preview";
+    previewHeader.appendChild(previewLabel);
+
+    const loadSampleButton = document.createElement("button");
+    loadSampleButton.textContent = "Load Sample Chapter";
+    Object.assign(loadSampleButton.style, smallButtonStyle);
+    loadSampleButton.disabled = !sampleUrl;
+    previewHeader.appendChild(loadSampleButton);
+
+    const sampleInput = document.createElement("textarea");
+    sampleInput.placeholder = "Load a sample chapter or paste chapter text here.";
+    Object.assign(sampleInput.style, {
+        ...fieldStyle,
+        width: "100%",
+        height: "120px",
+        resize: "vertical",
+        fontFamily: "inherit",
+    });
+
+    const previewSummary = document.createElement("div");
+    Object.assign(previewSummary.style, {
+        fontSize: "12px",
+        color: "#666",
+        margin: "8px 0 4px",
+    });
+
+    const previewOutput = document.createElement("pre");
+    Object.assign(previewOutput.style, {
+        margin: "0",
+        padding: "10px",
+        height: "160px",
+        overflowY: "auto",
+        backgroundColor: "#f9f9fb",
+        border: "1px solid #e4e9f0",
+        borderRadius: "6px",
+        fontSize: "13px",
+        whiteSpace: "pre-wrap",
+        wordBreak: "break-all",
+        fontFamily: "inherit",
+    });
+
+    const updatePreview = () => {
+        // Same steps as a download: the title is stripped from the chapter before the rules run
+        let chapterDocument;
+        if (sampleDocument) {
+            chapterDocument = JSON.parse(JSON.stringify(sampleDocument));
+        } else {
+            chapterDocument = textToChapterDocument(sampleInput.value);
+            if (sampleTitle) {
+                stripLeadingTitle(chapterDocument, sampleTitle);
+            }
+        }
+        const sample = {
+            episodeTitle: sampleTitle,
+            content: renderDocumentAsText(chapterDocument),
+            document: chapterDocument,
+        };
+        const linesBefore = sample.document.blocks.length;
+        applyTextRules(sample, rules);
+        previewOutput.textContent = sample.content;
+        previewSummary.textContent = sampleInput.value
+            ? `${linesBefore - sample.document.blocks.length} of ${linesBefore} lines removed${sampleTitle ? ` · Title: ${sampleTitle}` : ""}`
+            : "";
+    };
+
+    const renderRules = () => {
+        ruleList.innerHTML = "";
+        if (rules.length === 0) {
+            const empty = document.createElement("div");
+            empty.textContent = "No rules yet.";
+            Object.assign(empty.style, { fontSize: "13px", color: "#999" });
+            ruleList.appendChild(empty);
+        }
+
+        rules.forEach((rule, index) => {
+            const row = document.createElement("div");
+            Object.assign(row.style, {
+                padding: "10px",
+                border: "1px solid #e4e9f0",
+                borderRadius: "8px",
+                backgroundColor: "#f9f9fb",
+            });
+
+            const controls = document.createElement("div");
+            Object.assign(controls.style, {
+                display: "flex",
+                alignItems: "center",
+                gap: "6px",
+            });
+
+            const enabledInput = document.createElement("input");
+            enabledInput.type = "checkbox";
+            enabledInput.checked = rule.enabled !== false;
+            enabledInput.title = "Enabled";
+            enabledInput.onchange = () => {
+                rule.enabled = enabledInput.checked;
+                updatePreview();
+            };
+            controls.appendChild(enabledInput);
+
+            const typeSelect = document.createElement("select");
+            for (const [value, text] of Object.entries(TEXT_RULE_TYPES)) {
+                const option = document.createElement("option");
+                option.value = value;
+                option.textContent = text;
+                typeSelect.appendChild(option);
+            }
+            typeSelect.value = rule.type;
+            Object.assign(typeSelect.style, { ...fieldStyle, flex: "1" });
+            typeSelect.onchange = () => {
+                rules[index] = { type: typeSelect.value, enabled: rule.enabled, ...(typeSelect.value === "dropTitleLines" ? { count: 1 } : {}) };
+                renderRules();
+            };
+            controls.appendChild(typeSelect);
+
+            const addControlButton = (label, title, onClick, disabled) => {
+                const button = document.createElement("button");
+                button.textContent = label;
+                button.title = title;
+                button.disabled = disabled;
+                Object.assign(button.style, smallButtonStyle);
+                button.onclick = onClick;
+                controls.appendChild(button);
+            };
+            addControlButton("↑", "Move up", () => {
+                [rules[index - 1], rules[index]] = [rules[index], rules[index - 1]];
+                renderRules();
+            }, index === 0);
+            addControlButton("↓", "Move down", () => {
+                [rules[index + 1], rules[index]] = [rules[index], rules[index + 1]];
+                renderRules();
+            }, index === rules.length - 1);
+            addControlButton("✕", "Delete rule", () => {
+                rules.splice(index, 1);
+                renderRules();
+            }, false);
+            row.appendChild(controls);
+
+            const fields = document.createElement("div");
+            Object.assign(fields.style, {
+                display: "flex",
+                gap: "6px",
+                marginTop: "8px",
+            });
+            const errorDiv = document.createElement("div");
+            Object.assign(errorDiv.style, {
+                color: "#e74c3c",
+                fontSize: "12px",
+                marginTop: "4px",
+            });
+            const addField = (key, placeholder, flex, parse = (value) => value) => {
+                const input = document.createElement("input");
+                input.type = "text";
+                input.value = rule[key] ?? "";
+                input.placeholder = placeholder;
+                Object.assign(input.style, { ...fieldStyle, flex });
+                input.addEventListener("input", () => {
+                    rule[key] = parse(input.value);
+                    errorDiv.textContent = validateTextRule(rule) || "";
+                    updatePreview();
+                });
+                fields.appendChild(input);
+            };
+
+            if (rule.type === "replace" || rule.type === "dropLine") {
+                addField("pattern", "Regular expression", "3");
+                addField("flags", "Flags (e.g. i)", "1");
+                if (rule.type === "replace") {
+                    addField("replacement", "Replace with", "2");
+                }
+            } else if (rule.type === "dropTitleLines") {
+                addField("count", "Number of lines", "1", (value) => Number.parseInt(value, 10));
+            }
+            if (fields.childNodes.length > 0) {
+                row.appendChild(fields);
+            }
+            errorDiv.textContent = validateTextRule(rule) || "";
+            row.appendChild(errorDiv);
+            ruleList.appendChild(row);
+        });
+
+        updatePreview();
+    };
+
+    const addRuleButton = document.createElement("button");
+    addRuleButton.textContent = "+ Add Rule";
+    Object.assign(addRuleButton.style, { ...smallButtonStyle, width: "100%" });
+    addRuleButton.onclick = () => {
+        rules.push({ type: "dropLine", enabled: true, pattern: "", flags: "" });
+        renderRules();
+    };
+    dialogContent.appendChild(addRuleButton);
+
+    dialogContent.appendChild(previewHeader);
+    dialogContent.appendChild(sampleInput);
+    dialogContent.appendChild(previewSummary);
+    dialogContent.appendChild(previewOutput);
+
+    sampleInput.addEventListener("input", () => {
+        sampleDocument = null;
+        updatePreview();
+    });
+    loadSampleButton.onclick = async () => {
+        loadSampleButton.disabled = true;
+        loadSampleButton.textContent = "Loading...";
+        const result = await fetchNovelContent(sampleUrl);
+        loadSampleButton.disabled = false;
+        loadSampleButton.textContent = "Load Sample Chapter";
+        if (result.status !== 'success') {
+            showNotification("Sample Unavailable", `Could not load the sample chapter (${result.status}).`);
+            return;
+        }
+        // The fetched document keeps the formatting the rules see in a real download
+        sampleTitle = result.episodeTitle;
+        sampleDocument = result.document;
+        sampleInput.value = result.content;
+        updatePreview();
+    };
+
+    const buttons = document.createElement("div");
+    Object.assign(buttons.style, {
+        display: "flex",
+        justifyContent: "space-between",
+        marginTop: "20px",
+        gap: "12px",
+    });
+
+    const closeDialog = () => document.body.removeChild(dialog);
+
+    const cancelButton = document.createElement("button");
+    cancelButton.textContent = "Cancel";
+    Object.assign(cancelButton.style, {
+        flex: "1",
+        padding: "10px",
+        border: "1px solid #e4e9f0",
+        borderRadius: "8px",
+        backgroundColor: "#f9f9fb",
+        cursor: "pointer",
+        fontSize: "14px",
+        fontWeight: "500",
+    });
+    cancelButton.onclick = closeDialog;
+    buttons.appendChild(cancelButton);
+
+    const saveButton = document.createElement("button");
+    saveButton.textContent = "Save Rules";
+    Object.assign(saveButton.style, {
+        flex: "1",
+        padding: "10px",
+        border: "none",
+        borderRadius: "8px",
+        backgroundColor: "#3a7bd5",
+        color: "white",
+        cursor: "pointer",
+        fontSize: "14px",
+        fontWeight: "500",
+    });
+    saveButton.onmouseover = () => { saveButton.style.backgroundColor = "#2d62aa"; };
+    saveButton.onmouseout = () => { saveButton.style.backgroundColor = "#3a7bd5"; };
+    saveButton.onclick = () => {
+        const invalidIndex = rules.findIndex((rule) => validateTextRule(rule));
+        if (invalidIndex !== -1) {
+            showNotification("Invalid Rule", `Rule ${invalidIndex + 1}: ${validateTextRule(rules[invalidIndex])}`);
+            return;
+        }
+        try {
+            saveTextRules(adapter.id, rules);
+        } catch (e) {
+            console.error("[showTextRulesDialog] Failed to save rules:", e);
+            showNotification("Save Failed", "Could not save the rules to browser storage.");
+            return;
+        }
+        closeDialog();
+    };
+    buttons.appendChild(saveButton);
+    dialogContent.appendChild(buttons);
+
+    dialog.appendChild(dialogContent);
+    document.body.appendChild(dialog);
+    renderRules();
+
+    setModalAccessibility(dialog, addRuleButton, closeDialog, saveButton);
+}
+
+
+// Part 12: Markdown Export
+
+/**
+ * Builds a YAML front matter block. Strings are written as double-quoted scalars, which are
+ * JSON-compatible, so no character in a title can break the block. Arrays become flow sequences.
+ * @param {Object<string, (string|number|Array<string>|null|undefined)>} fields - The fields, in order. Empty fields
+ * and empty arrays are left out.
+ * @returns {string} The front matter, including the "---" fences.
+ */
+function buildMarkdownFrontMatter(fields) {
+    const lines = Object.entries(fields)
+        .filter(([, value]) => value !== null && value !== undefined && value !== "" && !(Array.isArray(value) && value.length === 0))
+        .map(([key, value]) => `${key}: ${typeof value === "number"
+            ? value
+            : JSON.stringify(Array.isArray(value) ? value.map(String) : String(value))}`);
+    return `---\n${lines.join("\n")}\n---\n`;
+}
+
+/**
+ * Renders one chapter as a Markdown file with front matter.
+ * @param {string} novelTitle - The novel title.
+ * @param {{url: string, number: (number|null), episodeTitle: string, fetchedAt: (number|undefined)}} chapter - The chapter.
+ * @returns {string} The Markdown file content.
+ */
+function buildMarkdownChapterFile(novelTitle, chapter) {
+    const frontMatter = buildMarkdownFrontMatter({
+        novel: novelTitle,
+        chapter: chapter.number,
+        title: chapter.episodeTitle,
+        source: chapter.url,
+        fetched: chapter.fetchedAt ? new Date(chapter.fetchedAt).toISOString() : null,
+    });
+    const body = renderDocumentAsMarkdown(getChapterDocument(chapter), { resolveImage: (image) => image.file || null });
+    return `${frontMatter}\n# ${escapeMarkdown(chapter.episodeTitle)}\n\n${body}\n`;
+}
+
+/**
+ * Returns the novel metadata as front matter fields.
+ * @param {NovelMetadata} metadata - The metadata.
+ * @param {{file: string}|null} cover - The downloaded cover image, if any.
+ * @returns {object} The fields, to spread into buildMarkdownFrontMatter.
+ */
+function getMetadataFrontMatterFields(metadata, cover) {
+    return {
+        author: metadata.author,
+        status: metadata.status,
+        tags: metadata.tags,
+        description: metadata.description,
+        cover: cover ? cover.file : null,
+    };
+}
+
+/**
+ * Renders the cover and synopsis shown under the novel title of a Markdown export.
+ * @param {NovelMetadata} metadata - The metadata.
+ * @param {{file: string}|null} cover - The downloaded cover image, if any.
+ * @returns {string} The Markdown, followed by a blank line, or "" if there is neither.
+ */
+function renderMarkdownIntro(metadata, cover) {
+    const parts = [
+        cover ? `![Cover](<${cover.file}>)` : null,
+        metadata.description ? renderDocumentAsMarkdown(textToChapterDocument(metadata.description)) : null,
+    ].filter(Boolean);
+    return parts.length > 0 ? `${parts.join("\n\n")}\n\n` : "";
+}
+
+/**
+ * Renders the index.md that links every chapter file of a Markdown export.
+ * @param {string} novelTitle - The novel title.
+ * @param {string|undefined} sourceUrl - The novel list page URL.
+ * @param {Array<{fileName: string, chapter: object}>} entries - The chapter files in reading order.
+ * @param {NovelMetadata} [metadata] - The novel metadata.
+ * @param {{file: string}|null} [cover] - The downloaded cover image, if any.
+ * @returns {string} The Markdown file content.
+ */
+function buildMarkdownIndex(novelTitle, sourceUrl, entries, metadata = normalizeNovelMetadata(null), cover = null) {
+    const frontMatter = buildMarkdownFrontMatter({
+        title: novelTitle,
+        ...getMetadataFrontMatterFields(metadata, cover),
+        source: sourceUrl,
+        chapters: entries.length,
+        generated: new Date().toISOString(),
+    });
+    const links = entries
+        .map(({ fileName, chapter }, index) => `${index + 1}. [${escapeMarkdown(chapter.episodeTitle)}](<${fileName}>)`)
+        .join("\n");
+    return `${frontMatter}\n# ${escapeMarkdown(novelTitle)}\n\n${renderMarkdownIntro(metadata, cover)}${links}\n`;
+}
+
+/**
+ * Renders every chapter into a single Markdown file. The front matter lists the chapters with
+ * their metadata, and a table of contents links to an anchor before each chapter.
+ * @param {string} novelTitle - The novel title.
+ * @param {string|undefined} sourceUrl - The novel list page URL.
+ * @param {Array<object>} chapters - The chapters in reading order.
+ * @param {NovelMetadata} [metadata] - The novel metadata.
+ * @param {{file: string}|null} [cover] - The downloaded cover image, if any.
+ * @returns {string} The Markdown file content.
+ */
+function buildMarkdownCombinedFile(novelTitle, sourceUrl, chapters, metadata = normalizeNovelMetadata(null), cover = null) {
+    const chapterList = chapters
+        .map((chapter) => [
+            `  - title: ${JSON.stringify(chapter.episodeTitle)}`,
+            chapter.number !== null && chapter.number !== undefined ? `    chapter: ${chapter.number}` : null,
+            `    source: ${JSON.stringify(chapter.url)}`,
+            chapter.fetchedAt ? `    fetched: ${JSON.stringify(new Date(chapter.fetchedAt).toISOString())}` : null,
+        ].filter(Boolean).join("\n"))
+        .join("\n");
+    const frontMatter = buildMarkdownFrontMatter({
+        title: novelTitle,
+        ...getMetadataFrontMatterFields(metadata, cover),
+        source: sourceUrl,
+        generated: new Date().toISOString(),
+    }).replace(/---\n$/, chapters.length > 0 ? `chapters:\n${chapterList}\n---\n` : "---\n");
+
+    const toc = chapters
+        .map((chapter, index) => `${index + 1}. [${escapeMarkdown(chapter.episodeTitle)}](#chapter-${index + 1})`)
+        .join("\n");
+    const sections = chapters.map((chapter, index) => {
+        const body = renderDocumentAsMarkdown(getChapterDocument(chapter), { resolveImage: (image) => image.file || null });
+        return `<a id="chapter-${index + 1}"></a>\n\n## ${escapeMarkdown(chapter.episodeTitle)}\n\n${body}`;
+    });
+    return `${frontMatter}\n# ${escapeMarkdown(novelTitle)}\n\n${renderMarkdownIntro(metadata, cover)}${toc}\n\n${sections.join("\n\n")}\n`;
+}
+
+
+// Part 13: Offline HTML Reader
+
+/**
+ * Encodes binary data as base64, in chunks so large images don't overflow the call stack.
+ * @param {ArrayBuffer} data - The bytes.
+ * @returns {string} The base64 text.
+ */
+function arrayBufferToBase64(data) {
+    const bytes = new Uint8Array(data);
+    let binary = "";
+    for (let offset = 0; offset < bytes.length; offset += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(offset, offset + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Runs inside the exported reader file, not in this script: its source is embedded by
+ * buildHtmlReader. Handles chapter navigation, the table of contents, theme, font size and
+ * the remembered reading position.
+ * @param {string} bookId - Identifies the book in localStorage, which all local files share.
+ */
+function runHtmlReader(bookId) {
+    const storageKey = `novel-dl-reader:${bookId}`;
+    const chapters = Array.from(document.querySelectorAll(".chapter"));
+    const tocLinks = Array.from(document.querySelectorAll("#toc a"));
+    const byId = (id) => document.getElementById(id);
+
+    let state = {
+        chapter: 0,
+        scroll: 0,
+        theme: window.matchMedia && window.matchMedia("(prefers-color-scheme: dark)").matches ? "dark" : "light",
+        fontSize: 18,
+    };
+    try {
+        state = { ...state, ...JSON.parse(localStorage.getItem(storageKey) || "{}") };
+    } catch (e) {
+        // Unreadable saved state: start from the beginning
+    }
+    const save = () => {
+        try {
+            localStorage.setItem(storageKey, JSON.stringify(state));
+        } catch (e) {
+            // Storage can be unavailable for local files; the reader still works without it
+        }
+    };
+
+    const applySettings = () => {
+        document.documentElement.dataset.theme = state.theme;
+        document.documentElement.style.setProperty("--font-size", `${state.fontSize}px`);
+        byId("theme").textContent = state.theme === "dark" ? "☀" : "☾";
+    };
+
+    const show = (index, scrollRatio) => {
+        if (chapters.length === 0) {
+            return;
+        }
+        state.chapter = Math.min(Math.max(index, 0), chapters.length - 1);
+        chapters.forEach((chapter, i) => { chapter.hidden = i !== state.chapter; });
+        tocLinks.forEach((link, i) => link.classList.toggle("current", i === state.chapter));
+        byId("prev").disabled = state.chapter === 0;
+        byId("next").disabled = state.chapter === chapters.length - 1;
+        byId("position").textContent = `${state.chapter + 1} / ${chapters.length}`;
+        try {
+            history.replaceState(null, "", `#${chapters[state.chapter].id}`);
+        } catch (e) {
+            // Some browsers refuse history changes for local files; the link just isn't updated
+        }
+        const maxScroll = document.documentElement.scrollHeight - window.innerHeight;
+        window.scrollTo(0, scrollRatio ? scrollRatio * maxScroll : 0);
+        state.scroll = scrollRatio || 0;
+        save();
+    };
+
+    const setTocOpen = (open) => { byId("toc").classList.toggle("open", open); };
+
+    byId("prev").onclick = () => show(state.chapter - 1);
+    byId("next").onclick = () => show(state.chapter + 1);
+    byId("toc-toggle").onclick = () => setTocOpen(!byId("toc").classList.contains("open"));
+    byId("theme").onclick = () => {
+        state.theme = state.theme === "dark" ? "light" : "dark";
+        applySettings();
+        save();
+    };
+    byId("smaller").onclick = () => {
+        state.fontSize = Math.max(12, state.fontSize - 2);
+        applySettings();
+        save();
+    };
+    byId("larger").onclick = () => {
+        state.fontSize = Math.min(36, state.fontSize + 2);
+        applySettings();
+        save();
+    };
+    tocLinks.forEach((link, i) => {
+        link.onclick = (e) => {
+            e.preventDefault();
+            setTocOpen(false);
+            show(i);
+        };
+    });
+    document.addEventListener("keydown", (e) => {
+        if (e.key === "ArrowLeft") show(state.chapter - 1);
+        if (e.key === "ArrowRight") show(state.chapter + 1);
+        if (e.key === "Escape") setTocOpen(false);
+    });
+
+    let scrollTimer = null;
+    window.addEventListener("scroll", () => {
+        clearTimeout(scrollTimer);
+        scrollTimer = setTimeout(() => {
+            const maxScroll = document.documentElement.scrollHeight - window.innerHeight;
+            state.scroll = maxScroll > 0 ? window.scrollY / maxScroll : 0;
+            save();
+        }, 200);
+    });
+
+    applySettings();
+    // A link to a specific chapter wins over the remembered position
+    const linked = chapters.findIndex((chapter) => `#${chapter.id}` === location.hash);
+    if (linked !== -1 && linked !== state.chapter) {
+        show(linked);
+    } else {
+        show(state.chapter, state.scroll);
+    }
+}
+
+/** Styles of the exported reader. */
+const HTML_READER_STYLE = `
+:root { --bg: #fbfaf7; --fg: #222; --muted: #777; --panel: #fff; --border: #e4e9f0; --accent: #3a7bd5; --font-size: 18px; }
+:root[data-theme="dark"] { --bg: #16181d; --fg: #d6d6d6; --muted: #999; --panel: #1f2229; --border: #30343c; --accent: #6ea8fe; }
+* { box-sizing: border-box; }
+body { margin: 0; background: var(--bg); color: var(--fg); font-family: serif; }
+.toolbar { position: sticky; top: 0; z-index: 2; display: flex; align-items: center; gap: 6px; padding: 8px 12px; background: var(--panel); border-bottom: 1px solid var(--border); font-family: sans-serif; }
+.toolbar .title { flex: 1; overflow: hidden; white-space: nowrap; text-overflow: ellipsis; font-weight: 600; }
+.toolbar button { min-width: 36px; padding: 6px 10px; border: 1px solid var(--border); border-radius: 6px; background: var(--bg); color: var(--fg); cursor: pointer; }
+.toolbar button:disabled { opacity: 0.4; cursor: default; }
+#position { color: var(--muted); font-size: 13px; }
+#toc { position: fixed; top: 53px; bottom: 0; left: 0; z-index: 1; width: min(320px, 85vw); overflow-y: auto; padding: 12px 0; background: var(--panel); border-right: 1px solid var(--border); font-family: sans-serif; transform: translateX(-100%); transition: transform 0.2s ease; }
+#toc.open { transform: none; }
+#toc ol { margin: 0; padding: 0 12px 0 40px; }
+#toc li { margin: 6px 0; }
+#toc a { color: var(--fg); text-decoration: none; }
+#toc a.current { color: var(--accent); font-weight: 600; }
+main { max-width: 42em; margin: 0 auto; padding: 24px 20px 48px; font-size: var(--font-size); line-height: 1.8; }
+.chapter h2 { margin: 0.5em 0 1.5em; font-size: 1.4em; text-align: center; }
+.chapter p { margin: 0 0 0.8em; text-indent: 1em; }
+hr.scene-break { border: none; margin: 1.5em 0; text-align: center; }
+hr.scene-break::after { content: "* * *"; color: var(--muted); }
+img { display: block; max-width: 100%; height: auto; margin: 1em auto; }
+.image-skipped { color: var(--muted); }
+.book-info { padding: 0 16px 12px; margin-bottom: 8px; border-bottom: 1px solid var(--border); font-size: 14px; }
+.book-info img { max-width: 160px; }
+.book-info .meta { color: var(--muted); }
+.book-info p { margin: 0.4em 0; }
+`;
+
+/**
+ * Builds a self-contained HTML file for reading the novel offline in any browser.
+ * Illustrations are embedded as data URIs so the file works on its own.
+ * @param {string} title - The novel title.
+ * @param {Array<object>} chapters - The downloaded chapters in reading order.
+ * @param {Array<{file: string, mediaType: string, data: ArrayBuffer}>} [images] - Downloaded illustrations.
+ * @param {NovelMetadata} [metadata] - Author, synopsis, tags and status, shown above the table of contents.
+ * @param {{mediaType: string, data: ArrayBuffer}|null} [cover] - The downloaded cover image.
+ * @param {string} [bookId] - Keys the saved reading position; exports of the same novel should share it (see generateNameBasedUuid).
+ * @returns {string} The HTML document.
+ */
+function buildHtmlReader(title, chapters, images = [], metadata = normalizeNovelMetadata(null), cover = null, bookId = generateNameBasedUuid(getBookIdName(title))) {
+    const toDataUri = (image) => `data:${image.mediaType};base64,${arrayBufferToBase64(image.data)}`;
+    const imageSources = new Map(images.map((image) => [image.file, toDataUri(image)]));
+    const resolveImage = (image) => imageSources.get(image.file) || null;
+
+    const metaLine = [metadata.author, formatNovelStatus(metadata.status), metadata.tags.join(", ")]
+        .filter(Boolean)
+        .map(escapeXml)
+        .join(" · ");
+    const bookInfo = cover || metaLine || metadata.description
+        ? `<div class="book-info">
+${cover ? `<img src="${toDataUri(cover)}" alt="">\n` : ""}${metaLine ? `<p class="meta">${metaLine}</p>\n` : ""}${metadata.description ? renderDocumentAsHtml(textToChapterDocument(metadata.description)) : ""}
+</div>
+`
+        : "";
+
+    const tocEntries = chapters
+        .map((chapter, index) => `<li><a href="#chapter-${index + 1}">${escapeXml(chapter.episodeTitle)}</a></li>`)
+        .join("\n");
+    const sections = chapters
+        .map((chapter, index) => `<section class="chapter" id="chapter-${index + 1}" hidden>
+<h2>${escapeXml(chapter.episodeTitle)}</h2>
+${renderDocumentAsHtml(getChapterDocument(chapter), { resolveImage })}
+</section>`)
+        .join("\n");
+
+    return `<!DOCTYPE html>
+<html lang="ko">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="generator" content="novel-dl">
+${metadata.author ? `<meta name="author" content="${escapeXml(metadata.author)}">\n` : ""}<title>${escapeXml(title)}</title>
+<style>${HTML_READER_STYLE}</style>
+</head>
+<body>
+<header class="toolbar">
+<button id="toc-toggle" title="Table of contents">☰</button>
+<span class="title">${escapeXml(title)}</span>
+<span id="position"></span>
+<button id="prev" title="Previous chapter (←)">‹</button>
+<button id="next" title="Next chapter (→)">›</button>
+<button id="smaller" title="Smaller text">A-</button>
+<button id="larger" title="Larger text">A+</button>
+<button id="theme" title="Dark mode"></button>
+</header>
+<nav id="toc">${bookInfo}<ol>
+${tocEntries}
+</ol></nav>
+<main>
+${sections}
+</main>
+<script>
+(${runHtmlReader.toString()})(${JSON.stringify(bookId)});
+</script>
+</body>
+</html>
+`;
+}
+
+
+// Part 14: Novel Metadata
+
+/** Completion status labels keyed by the normalized status value. */
+const NOVEL_STATUSES = {
+    "": "Unknown",
+    ongoing: "Ongoing",
+    completed: "Completed",
+    hiatus: "On Hiatus",
+};
+
+/**
+ * Fills in missing metadata fields, e.g. for reports and jobs saved before metadata existed.
+ * @param {Partial<NovelMetadata>|null|undefined} metadata - The metadata to normalize.
+ * @returns {NovelMetadata} The metadata with every field present.
+ */
+function normalizeNovelMetadata(metadata) {
+    const source = metadata && typeof metadata === "object" ? metadata : {};
+    const tags = Array.isArray(source.tags) ? source.tags : String(source.tags || "").split(",");
+    return {
+        author: String(source.author || "").trim(),
+        coverUrl: String(source.coverUrl || "").trim(),
+        description: String(source.description || "").trim(),
+        tags: [...new Set(tags.map((tag) => String(tag).trim()).filter(Boolean))],
+        status: String(source.status || "").trim(),
+    };
+}
+
+/**
+ * Reads the novel metadata from a list page, combining the adapter's extractor with the
+ * page's Open Graph and meta tags.
+ * @param {SiteAdapter} adapter - The site adapter.
+ * @param {Document} doc - The list page.
+ * @returns {NovelMetadata} The metadata; unknown fields are empty.
+ */
+function extractNovelMetadata(adapter, doc) {
+    const metaContent = (selector) => doc.querySelector(selector)?.getAttribute("content")?.trim() || "";
+    let extracted = {};
+    try {
+        extracted = adapter.extractNovelMetadata ? adapter.extractNovelMetadata(doc) || {} : {};
+    } catch (e) {
+        console.warn(`[extractNovelMetadata] ${adapter.id} extractor failed, using meta tags only:`, e);
+    }
+
+    let coverUrl = extracted.coverUrl || metaContent('meta[property="og:image"]');
+    if (coverUrl) {
+        try {
+            coverUrl = new URL(coverUrl, doc.baseURI || window.location.href).href;
+        } catch (e) {
+            console.warn(`[extractNovelMetadata] Ignoring invalid cover URL: ${coverUrl}`);
+            coverUrl = "";
+        }
+    }
+
+    const metadata = normalizeNovelMetadata({
+        author: extracted.author || metaContent('meta[name="author"]'),
+        coverUrl,
+        description: extracted.description
+            || metaContent('meta[property="og:description"]')
+            || metaContent('meta[name="description"]'),
+        tags: extracted.tags?.some((tag) => tag.trim()) ? extracted.tags : metaContent('meta[name="keywords"]'),
+        status: extracted.status,
+    });
+    console.log("[extractNovelMetadata] Extracted:", metadata);
+    return metadata;
+}
+
+/**
+ * Formats the status for display, keeping site-specific values that have no label as they are.
+ * @param {string} status - The normalized status.
+ * @returns {string} The label, or "" if unknown.
+ */
+function formatNovelStatus(status) {
+    return status ? NOVEL_STATUSES[status] || status : "";
+}
+
+/**
+ * Formats the metadata as the header block of a TXT download.
+ * @param {NovelMetadata} metadata - The metadata.
+ * @returns {string} The lines followed by a blank line, or "" if every field is empty.
+ */
+function formatMetadataTextBlock(metadata) {
+    const lines = [
+        metadata.author ? `Author: ${metadata.author}` : null,
+        metadata.status ? `Status: ${formatNovelStatus(metadata.status)}` : null,
+        metadata.tags.length > 0 ? `Tags: ${metadata.tags.join(", ")}` : null,
+    ].filter(Boolean);
+    if (metadata.description) {
+        lines.push(...(lines.length > 0 ? [""] : []), metadata.description);
+    }
+    return lines.length > 0 ? `${lines.join("\n")}\n\n` : "";
+}
+
+/**
+ * Builds the start of a TXT download: the title, the metadata block and the credit line.
+ * @param {string} title - The title of the file (with its part label, if split).
+ * @param {NovelMetadata} metadata - The metadata.
+ * @returns {string} The header text.
+ */
+function buildTextFileHeader(title, metadata) {
+    return `${title}\n\n${formatMetadataTextBlock(metadata)}Downloaded with novel-dl,\nhttps://github.com/yeorinhieut/novel-dl\n\n`;
+}
+
+/**
+ * Formats the heading written before each chapter of a TXT download.
+ * @param {string} episodeTitle - The chapter title.
+ * @returns {string} The heading, including the blank lines around it.
+ */
+function formatTextChapterHeading(episodeTitle) {
+    return `\n\n--- ${episodeTitle} ---\n\n`;
+}
+
+/**
+ * Works out where each chapter's text sits in the TXT files of a download. The JSON report records
+ * these positions, so merging a retry can cut the file there instead of searching for heading lines
+ * that a chapter's own text may contain as well.
+ * @param {Array<Array<object>>} outputParts - The successful outcomes of each output part.
+ * @param {Array<string>} partTitles - The title written at the top of each part.
+ * @param {NovelMetadata} metadata - The metadata.
+ * @returns {Map<object, {part: number, start: number, end: number}>} The position per outcome: the 1-based part
+ * and the string offsets of the chapter text within that part's file.
+ */
+function getTextChapterPositions(outputParts, partTitles, metadata) {
+    const positions = new Map();
+    for (const [partIndex, partOutcomes] of outputParts.entries()) {
+        let offset = buildTextFileHeader(partTitles[partIndex], metadata).length;
+        for (const outcome of partOutcomes) {
+            const { chapter } = outcome;
+            const start = offset + formatTextChapterHeading(chapter.episodeTitle).length;
+            offset = start + (chapter.textLength ?? chapter.content.length);
+            positions.set(outcome, { part: partIndex + 1, start, end: offset });
+        }
+    }
+    return positions;
+}
+
+/**
+ * Builds the metadata.json written into ZIP downloads.
+ * @param {string} title - The novel title.
+ * @param {string|undefined} sourceUrl - The novel list page URL.
+ * @param {NovelMetadata} metadata - The metadata.
+ * @param {{file: string}|null} cover - The downloaded cover image, if any.
+ * @param {number} chapterCount - The number of chapters in the download.
+ * @returns {string} The JSON text.
+ */
+function buildMetadataJson(title, sourceUrl, metadata, cover, chapterCount) {
+    return JSON.stringify({
+        title,
+        author: metadata.author || null,
+        description: metadata.description || null,
+        tags: metadata.tags,
+        status: metadata.status || null,
+        coverUrl: metadata.coverUrl || null,
+        coverFile: cover ? cover.file : null,
+        sourceUrl: sourceUrl || null,
+        chapters: chapterCount,
+        generatedAt: new Date().toISOString(),
+    }, null, 2);
+}
+
+/**
+ * Downloads the cover image for the output file.
+ * @param {string} coverUrl - The absolute cover URL.
+ * @returns {Promise<{file: string, mediaType: string, data: ArrayBuffer}|{reason: string}>} The cover, or the failure reason.
+ */
+async function fetchCoverImage(coverUrl) {
+    const result = await fetchChapterImage(coverUrl);
+    if (result.status !== 'success') {
+        return { reason: result.status === 'network_error' ? `Network Error (${result.statusCode})` : `Fetch Error: ${result.message}` };
+    }
+    return {
+        file: `images/cover.${IMAGE_EXTENSIONS[result.mediaType]}`,
+        mediaType: result.mediaType,
+        data: result.data,
+    };
+}
+
+
+// Part 15: Library
+
+/**
+ * @typedef {object} LibraryEntry
+ * A followed novel, stored in the "library" object store keyed by `novelKey`.
+ * @property {string} novelKey - Identifies the novel independently of the mirror domain (see getNovelKey).
+ * @property {string} listUrl - The novel list page URL without query parameters, on the mirror last downloaded from.
+ * @property {string} title - The novel title.
+ * @property {string} adapterId - The site adapter that handles the novel.
+ * @property {Array<string>} knownEpisodeKeys - Episode keys (see getEpisodeKey) seen in earlier downloads.
+ * @property {{url: string, number: (number|null)}|null} lastEpisode - The highest-numbered episode downloaded so far.
+ * @property {object} settings - Download settings reused for new chapters (delayMs, saveMode, concurrency, ...).
+ * @property {NovelMetadata} metadata - The metadata written into each volume.
+ * @property {number} volumeCount - How many volumes have been downloaded.
+ * @property {Array<{url: string, number: number}>} newEpisodes - Episodes found by the last update check.
+ * @property {number} addedAt - When the novel was added.
+ * @property {number} updatedAt - When a volume was last downloaded.
+ * @property {number|null} lastCheckedAt - When updates were last checked.
+ */
+
+/**
+ * Identifies an episode independently of the mirror domain it was listed on.
+ * @param {string} url - The episode URL.
+ * @returns {string} The URL path, or the URL itself if it cannot be parsed.
+ */
+function getEpisodeKey(url) {
+    try {
+        return new URL(url, window.location.href).pathname;
+    } catch (e) {
+        return url;
+    }
+}
+
+/**
+ * Identifies a novel independently of the mirror domain: the site adapter plus the list page path.
+ * @param {string} listUrl - The novel list page URL.
+ * @param {string} [adapterId] - The adapter of the novel, if known; otherwise looked up from the URL.
+ * @returns {string} The key, e.g. "booktoki:/novel/123".
+ */
+function getNovelKey(listUrl, adapterId = findSiteAdapter(listUrl)?.id) {
+    return `${adapterId || ""}:${getEpisodeKey(listUrl)}`;
+}
+
+/**
+ * Combines two library entries of the same novel, e.g. followed from two mirror domains.
+ * The entry downloaded last keeps its list URL, title and settings.
+ * @param {LibraryEntry} a - One entry.
+ * @param {LibraryEntry} b - The other entry.
+ * @returns {LibraryEntry} The combined entry.
+ */
+function mergeLibraryEntries(a, b) {
+    const [older, newer] = a.updatedAt <= b.updatedAt ? [a, b] : [b, a];
+    const knownEpisodeKeys = new Set([...older.knownEpisodeKeys, ...newer.knownEpisodeKeys]);
+    const lastEpisodes = [older.lastEpisode, newer.lastEpisode].filter(Boolean);
+    return {
+        ...newer,
+        novelKey: a.novelKey || b.novelKey,
+        knownEpisodeKeys: [...knownEpisodeKeys],
+        lastEpisode: lastEpisodes.reduce((last, episode) => ((episode.number ?? 0) >= (last.number ?? 0) ? episode : last), lastEpisodes[0] || null),
+        volumeCount: older.volumeCount + newer.volumeCount,
+        newEpisodes: newer.newEpisodes.filter((episode) => !knownEpisodeKeys.has(getEpisodeKey(episode.url))),
+        addedAt: Math.min(older.addedAt, newer.addedAt),
+    };
+}
+
+/**
+ * Moves a stored URL to the origin of the current page when both are served by the same
+ * adapter, so novels saved on an older mirror domain can still be fetched.
+ * @param {string} url - The stored URL.
+ * @param {string} adapterId - The adapter of the stored URL.
+ * @returns {string} The URL to fetch.
+ */
+function toCurrentMirrorUrl(url, adapterId) {
+    if (findSiteAdapter(window.location.href)?.id !== adapterId) {
+        return url;
+    }
+    const rewritten = new URL(url);
+    rewritten.protocol = window.location.protocol;
+    rewritten.host = window.location.host;
+    return rewritten.href;
+}
+
+/**
+ * Lists the novels in the library, sorted by title.
+ * @returns {Promise<Array<LibraryEntry>>} The library entries.
+ */
+async function listLibraryEntries() {
+    const entries = await runNovelDbTransaction("library", "readonly", (transaction) =>
+        idbRequestToPromise(transaction.objectStore("library").getAll()),
+    );
+    return entries.sort((a, b) => a.title.localeCompare(b.title));
+}
+
+/**
+ * Merges changes into a library entry, creating it from the changes if it doesn't exist.
+ * @param {string} novelKey - The novel key (see getNovelKey).
+ * @param {function((LibraryEntry|undefined)): LibraryEntry} update - Receives the stored entry and returns the new one.
+ * @returns {Promise<LibraryEntry>} The stored entry.
+ */
+async function updateLibraryEntry(novelKey, update) {
+    return runNovelDbTransaction("library", "readwrite", async (transaction) => {
+        const store = transaction.objectStore("library");
+        const entry = update(await idbRequestToPromise(store.get(novelKey)));
+        store.put(entry);
+        return entry;
+    });
+}
+
+/**
+ * Deletes a novel from the library.
+ * @param {string} novelKey - The novel key (see getNovelKey).
+ * @returns {Promise<void>}
+ */
+async function deleteLibraryEntry(novelKey) {
+    await runNovelDbTransaction("library", "readwrite", (transaction) => {
+        transaction.objectStore("library").delete(novelKey);
+    });
+}
+
+/**
+ * Records a finished download in the library: adds the novel if needed, remembers the
+ * downloaded episodes and the settings, and counts the volume. A download from another mirror
+ * domain updates the same entry, which then fetches from that mirror.
+ * @param {object} download - The finished download.
+ * @param {string} download.listUrl - The novel list page URL.
+ * @param {string} download.title - The novel title.
+ * @param {Array<{url: string, number: (number|null)}>} download.episodes - The episodes saved by this download.
+ * @param {object} download.settings - The settings the download used.
+ * @param {NovelMetadata} download.metadata - The metadata the download used.
+ * @returns {Promise<LibraryEntry>} The updated entry.
+ */
+async function recordLibraryDownload({ listUrl, title, episodes, settings, metadata }) {
+    const novelKey = getNovelKey(listUrl);
+    return updateLibraryEntry(novelKey, (entry) => {
+        const knownEpisodeKeys = new Set(entry ? entry.knownEpisodeKeys : []);
+        let lastEpisode = entry ? entry.lastEpisode : null;
+        for (const episode of episodes) {
+            knownEpisodeKeys.add(getEpisodeKey(episode.url));
+            // ">=" so a later download wins when deleted chapters have shifted the numbers down
+            if (!lastEpisode || (episode.number ?? 0) >= (lastEpisode.number ?? 0)) {
+                lastEpisode = { url: episode.url, number: episode.number ?? null };
+            }
+        }
+        return {
+            novelKey,
+            listUrl,
+            title,
+            adapterId: findSiteAdapter(listUrl)?.id || (entry && entry.adapterId) || null,
+            knownEpisodeKeys: [...knownEpisodeKeys],
+            lastEpisode,
+            settings,
+            metadata,
+            volumeCount: (entry ? entry.volumeCount : 0) + 1,
+            newEpisodes: (entry ? entry.newEpisodes : []).filter((episode) => !knownEpisodeKeys.has(getEpisodeKey(episode.url))),
+            addedAt: entry ? entry.addedAt : Date.now(),
+            updatedAt: Date.now(),
+            lastCheckedAt: entry ? entry.lastCheckedAt : null,
+        };
+    });
+}
+
+/**
+ * Re-reads a novel's list pages and stores the episodes that are newer than the last download.
+ * An episode is new if it was never downloaded and comes after the last downloaded one, so
+ * chapters left out of earlier downloads on purpose are not offered again.
+ * @param {LibraryEntry} entry - The library entry.
+ * @param {function(number, (number|null), number): void} [onProgress] - Progress callback, see collectEpisodeLinks.
+ * @returns {Promise<LibraryEntry>} The updated entry.
+ */
+async function checkLibraryEntryForUpdates(entry, onProgress) {
+    const adapter = siteAdapters.find((a) => a.id === entry.adapterId) || findSiteAdapter(entry.listUrl);
+    if (!adapter) {
+        throw new Error(`No site adapter for ${entry.listUrl}`);
+    }
+    const listUrl = toCurrentMirrorUrl(entry.listUrl, adapter.id);
+    const firstPage = await fetchPage(adapter.getListPageUrl(listUrl, 1));
+    if (!firstPage) {
+        throw new Error(`Could not load ${listUrl}`);
+    }
+    const detectedPages = adapter.getLastListPage ? adapter.getLastListPage(firstPage) : null;
+    const { links } = await collectEpisodeLinks(adapter, listUrl, detectedPages, null, onProgress);
+    if (links.length === 0) {
+        throw new Error(`No episodes found on ${listUrl}`);
+    }
+
+    // The list is newest first, so the episode at index i is number (length - i). Numbers shift when the
+    // site deletes or merges a chapter, so new episodes are found by key, newer than the newest known one
+    // (earlier chapters the user chose not to download are not offered)
+    const knownEpisodeKeys = new Set(entry.knownEpisodeKeys);
+    const newestKnownIndex = links.findIndex((url) => knownEpisodeKeys.has(getEpisodeKey(url)));
+    if (newestKnownIndex === -1 && knownEpisodeKeys.size > 0) {
+        console.warn(`[checkLibraryEntryForUpdates] ${entry.title}: no downloaded episode is in the list any more`);
+    }
+    const newEpisodes = links
+        .map((url, i) => ({ url, number: links.length - i }))
+        .slice(0, newestKnownIndex === -1 ? links.length : newestKnownIndex)
+        .filter((episode) => !knownEpisodeKeys.has(getEpisodeKey(episode.url)))
+        .reverse();
+    console.log(`[checkLibraryEntryForUpdates] ${entry.title}: ${newEpisodes.length} new of ${links.length}`);
+
+    return updateLibraryEntry(entry.novelKey, (stored) => ({
+        ...(stored || entry),
+        newEpisodes,
+        lastCheckedAt: Date.now(),
+    }));
+}
+
+/**
+ * Queues the new chapters of a library novel for download as the next volume, with the stored settings.
+ * @param {LibraryEntry} entry - The library entry, after an update check.
+ */
+function downloadLibraryUpdates(entry) {
+    const { delayMs, saveMode, ...options } = entry.settings;
+    const episodes = entry.newEpisodes.map((episode) => ({
+        url: toCurrentMirrorUrl(episode.url, entry.adapterId),
+        number: episode.number,
+    }));
+    enqueueDownload(
+        entry.title,
+        episodes,
+        delayMs,
+        saveMode,
+        episodes[0].number,
+        episodes[episodes.length - 1].number,
+        {
+            ...options,
+            sourceUrl: entry.listUrl,
+            metadata: entry.metadata,
+            trackInLibrary: true,
+            volume: entry.volumeCount + 1,
+        },
+    );
+}
+
+/**
+ * Displays the library: followed novels with their last downloaded chapter, an update check
+ * for all of them, and a button to download the new chapters of each as a new volume.
+ */
+async function showLibraryDialog() {
+    let entries;
+    try {
+        entries = await listLibraryEntries();
+    } catch (e) {
+        console.error("[showLibraryDialog] Failed to read the library:", e);
+        showNotification("Library Unavailable", "Could not access browser storage (IndexedDB).");
+        return;
+    }
+
+    if (entries.length === 0) {
+        showNotification("Library Empty", "Check \"Track in Library\" when starting a download to follow a novel here.");
+        return;
+    }
+
+    const dialog = document.createElement("div");
+    Object.assign(dialog.style, {
+        position: "fixed",
+        zIndex: "9999",
+        left: "0",
+        top: "0",
+        width: "100%",
+        height: "100%",
+        backgroundColor: "rgba(0,0,0,0.5)",
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+        fontFamily:
+            '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif',
+    });
+
+    const dialogContent = document.createElement("div");
+    Object.assign(dialogContent.style, {
+        backgroundColor: "#fff",
+        borderRadius: "12px",
+        boxShadow: "0 4px 24px rgba(0,0,0,0.15)",
+        width: "460px",
+        maxWidth: "90%",
+        padding: "24px",
+        animation: "fadeIn 0.3s",
+    });
+
+    const dialogTitle = document.createElement("h3");
+    dialogTitle.textContent = "Library";
+    Object.assign(dialogTitle.style, {
+        margin: "0 0 16px 0",
+        color: "#172238",
+        fontSize: "18px",
+        fontWeight: "600",
+    });
+    dialogContent.appendChild(dialogTitle);
+
+    const checkButton = document.createElement("button");
+    checkButton.textContent = "Check for Updates";
+    Object.assign(checkButton.style, {
+        width: "100%",
+        padding: "10px",
+        border: "none",
+        borderRadius: "8px",
+        backgroundColor: "#3a7bd5",
+        color: "white",
+        cursor: "pointer",
+        fontSize: "14px",
+        fontWeight: "500",
+    });
+    checkButton.onmouseover = () => { checkButton.style.backgroundColor = "#2d62aa"; };
+    checkButton.onmouseout = () => { checkButton.style.backgroundColor = "#3a7bd5"; };
+    dialogContent.appendChild(checkButton);
+
+    const checkStatus = document.createElement("div");
+    Object.assign(checkStatus.style, {
+        fontSize: "13px",
+        color: "#666",
+        minHeight: "18px",
+        margin: "8px 0 12px 0",
+    });
+    dialogContent.appendChild(checkStatus);
+
+    const entryList = document.createElement("div");
+    Object.assign(entryList.style, {
+        display: "flex",
+        flexDirection: "column",
+        gap: "12px",
+        maxHeight: "50vh",
+        overflowY: "auto",
+        marginBottom: "20px",
+    });
+    dialogContent.appendChild(entryList);
+
+    const closeDialog = () => {
+        if (dialog.parentNode) {
+            document.body.removeChild(dialog);
+        }
+    };
+
+    /**
+     * Renders one library entry, replacing its previous rendering if there is one.
+     * @param {LibraryEntry} entry - The entry to render.
+     * @param {HTMLElement} [previousItem] - The element to replace.
+     * @returns {HTMLElement} The rendered item.
+     */
+    const renderEntry = (entry, previousItem) => {
+        const item = document.createElement("div");
+        Object.assign(item.style, {
+            padding: "14px",
+            border: "1px solid #e4e9f0",
+            borderRadius: "8px",
+            backgroundColor: "#f9f9fb",
+        });
+
+        const entryTitle = document.createElement("div");
+        entryTitle.textContent = entry.title;
+        Object.assign(entryTitle.style, {
+            fontWeight: "600",
+            color: "#172238",
+            marginBottom: "4px",
+        });
+        item.appendChild(entryTitle);
+
+        const entryInfo = document.createElement("div");
+        entryInfo.textContent = [
+            entry.lastEpisode?.number ? `Last downloaded: chapter ${entry.lastEpisode.number}` : "No chapters downloaded",
+            entry.settings.saveMode.toUpperCase(),
+            `${entry.volumeCount} volume${entry.volumeCount === 1 ? "" : "s"}`,
+            entry.lastCheckedAt ? `checked ${new Date(entry.lastCheckedAt).toLocaleString()}` : "never checked",
+        ].join(" · ");
+        Object.assign(entryInfo.style, {
+            fontSize: "13px",
+            color: "#666",
+            marginBottom: "10px",
+        });
+        item.appendChild(entryInfo);
+
+        const entryButtons = document.createElement("div");
+        Object.assign(entryButtons.style, {
+            display: "flex",
+            gap: "8px",
+        });
+
+        const newCount = entry.newEpisodes.length;
+        const downloadButton = document.createElement("button");
+        downloadButton.textContent = newCount > 0 ? `Queue ${newCount} New` : "No New Chapters";
+        downloadButton.disabled = newCount === 0;
+        Object.assign(downloadButton.style, {
+            flex: "1",
+            padding: "8px",
+            border: "none",
+            borderRadius: "8px",
+            backgroundColor: newCount > 0 ? "#3a7bd5" : "#b8c7dc",
+            color: "white",
+            cursor: newCount > 0 ? "pointer" : "default",
+            fontSize: "14px",
+            fontWeight: "500",
+        });
+        downloadButton.onclick = () => {
+            closeDialog();
+            downloadLibraryUpdates(entry);
+        };
+        entryButtons.appendChild(downloadButton);
+
+        const removeButton = document.createElement("button");
+        removeButton.textContent = "Remove";
+        Object.assign(removeButton.style, {
+            flex: "1",
+            padding: "8px",
+            border: "1px solid #e4e9f0",
+            borderRadius: "8px",
+            backgroundColor: "#fff",
+            cursor: "pointer",
+            fontSize: "14px",
+            fontWeight: "500",
+        });
+        removeButton.onclick = () => {
+            showConfirmationModal("Remove from Library", `Stop following "${entry.title}"? Downloaded files are not affected.`, async () => {
+                try {
+                    await deleteLibraryEntry(entry.novelKey);
+                    entries = entries.filter((e) => e.novelKey !== entry.novelKey);
+                    entryList.removeChild(item);
+                    if (entryList.childElementCount === 0) {
+                        closeDialog();
+                    }
+                } catch (e) {
+                    console.error("[showLibraryDialog] Failed to remove entry:", e);
+                    showNotification("Remove Failed", "Could not remove the novel from the library.");
+                }
+            });
+        };
+        entryButtons.appendChild(removeButton);
+
+        item.appendChild(entryButtons);
+        if (previousItem) {
+            entryList.replaceChild(item, previousItem);
+        } else {
+            entryList.appendChild(item);
+        }
+        return item;
+    };
+
+    const items = new Map(entries.map((entry) => [entry.novelKey, renderEntry(entry)]));
+
+    checkButton.onclick = async () => {
+        checkButton.disabled = true;
+        checkButton.style.backgroundColor = "#b8c7dc";
+        let totalNew = 0;
+        const failed = [];
+        for (const [index, entry] of entries.entries()) {
+            const prefix = `Checking ${index + 1}/${entries.length}: ${entry.title}`;
+            checkStatus.textContent = `${prefix}...`;
+            try {
+                const updated = await checkLibraryEntryForUpdates(entry, (page, knownTotal) => {
+                    checkStatus.textContent = `${prefix} (page ${page}${knownTotal ? `/${knownTotal}` : ""})...`;
+                });
+                entries[index] = updated;
+                totalNew += updated.newEpisodes.length;
+                items.set(entry.novelKey, renderEntry(updated, items.get(entry.novelKey)));
+            } catch (e) {
+                console.error(`[showLibraryDialog] Update check failed for ${entry.title}:`, e);
+                failed.push(entry.title);
+            }
+        }
+        checkStatus.textContent = `${totalNew} new chapter${totalNew === 1 ? "" : "s"} found.`
+            + (failed.length > 0 ? ` Could not check: ${failed.join(", ")}.` : "");
+        checkButton.disabled = false;
+        checkButton.style.backgroundColor = "#3a7bd5";
+    };
+
+    const closeButton = document.createElement("button");
+    closeButton.textContent = "Close";
+    Object.assign(closeButton.style, {
+        width: "100%",
+        padding: "10px",
+        border: "1px solid #e4e9f0",
+        borderRadius: "8px",
+        backgroundColor: "#f9f9fb",
+        cursor: "pointer",
+        fontSize: "14px",
+        fontWeight: "500",
+        transition: "all 0.2s ease",
+    });
+    closeButton.onmouseover = () => { closeButton.style.backgroundColor = "#f0f2f8"; };
+    closeButton.onmouseout = () => { closeButton.style.backgroundColor = "#f9f9fb"; };
+    closeButton.onclick = closeDialog;
+    dialogContent.appendChild(closeButton);
+
+    dialog.appendChild(dialogContent);
+    document.body.appendChild(dialog);
+
+    setModalAccessibility(dialog, null, closeDialog, null);
+}
+
+
+// Part 16: Download Queue
+
+/**
+ * @typedef {object} QueueJob
+ * A download waiting in or run by the queue. Queued jobs live in memory only; once a job has
+ * started, its chapters are stored like any other download and can be resumed after a reload.
+ * @property {string} id - Unique job ID.
+ * @property {string} title - The novel title.
+ * @property {Array<{url: string, number: (number|null)}>} episodes - The episodes to download.
+ * @property {number} delayMs - Delay between fetches in milliseconds.
+ * @property {string} saveMode - The output format, see processDownloadCore.
+ * @property {number} startEpisode - The first episode number, used to name the output.
+ * @property {number} endEpisode - The last episode number, used to name the output.
+ * @property {object} options - Options passed to processDownloadCore.
+ * @property {string} status - A key of QUEUE_JOB_STATUSES.
+ * @property {{processed: number, total: number}} progress - Chapters processed so far.
+ * @property {string} [saveProgress] - Progress text while the output files are generated.
+ * @property {{label: string, save: function(): void}|null} [pendingSave] - A generated part waiting for the user to save it.
+ * @property {object} [chapterLog] - The per-chapter log of the job once it has started (see createChapterLogPanel).
+ * @property {object} pauseController - Pauses the job while it runs (see createPauseController).
+ * @property {AbortController} abortController - Cancels the job while it runs.
+ */
+
+/** Labels of the queue job states. */
+const QUEUE_JOB_STATUSES = {
+    pending: "Waiting",
+    held: "On Hold",
+    running: "Downloading",
+    done: "Finished",
+    cancelled: "Cancelled",
+    failed: "Failed",
+};
+
+/** Jobs in queue order, including finished ones until they are cleared. */
+const downloadQueue = [];
+
+let isDownloadQueueRunning = false;
+
+/** Re-renders the queue panel if it is open. */
+let renderQueuePanel = null;
+
+/**
+ * Tells whether the queue has jobs that have not finished yet.
+ * @returns {boolean} True if a job is waiting, on hold or running.
+ */
+function hasActiveQueueJobs() {
+    return downloadQueue.some((job) => ["pending", "held", "running"].includes(job.status));
+}
+
+/**
+ * Adds a download to the end of the queue and starts the queue if it is idle.
+ * Takes the same arguments as processDownloadCore, without the retry report name.
+ * @param {string} title - The novel title.
+ * @param {Array<{url: string, number: (number|null)}>} episodes - The episodes to download.
+ * @param {number} delayMs - Delay between fetches in milliseconds.
+ * @param {string} saveMode - The output format.
+ * @param {number} startEpisode - The first episode number.
+ * @param {number} endEpisode - The last episode number.
+ * @param {object} [options] - Options passed to processDownloadCore.
+ * @returns {QueueJob} The queued job.
+ */
+function enqueueDownload(title, episodes, delayMs, saveMode, startEpisode, endEpisode, options = {}) {
+    const job = {
+        id: generateUuid(),
+        title,
+        episodes,
+        delayMs,
+        saveMode,
+        startEpisode,
+        endEpisode,
+        options,
+        status: "pending",
+        progress: { processed: 0, total: episodes.length },
+        pauseController: createPauseController(),
+        abortController: new AbortController(),
+    };
+    downloadQueue.push(job);
+    console.log(`[enqueueDownload] Queued "${title}" (${episodes.length} chapters), position ${downloadQueue.length}`);
+    showNotification("Added to Queue", `"${title}" (${episodes.length} chapters) was added to the download queue.`);
+    showQueuePanel();
+    runDownloadQueue();
+    return job;
+}
+
+/**
+ * Runs the waiting jobs one at a time, in queue order, until none are left.
+ */
+async function runDownloadQueue() {
+    if (isDownloadQueueRunning) {
+        return;
+    }
+    isDownloadQueueRunning = true;
+    try {
+        let job;
+        while ((job = downloadQueue.find((queued) => queued.status === "pending"))) {
+            // Jobs run one at a time and share one rate limiter (see acquireSharedRateLimiter)
+            job.status = "running";
+            if (renderQueuePanel) renderQueuePanel();
+            try {
+                const result = await processDownloadCore(
+                    job.title,
+                    job.episodes,
+                    job.delayMs,
+                    job.saveMode,
+                    null,
+                    job.startEpisode,
+                    job.endEpisode,
+                    {
+                        ...job.options,
+                        background: true,
+                        pauseController: job.pauseController,
+                        signal: job.abortController.signal,
+                        onProgress: (processed, total) => {
+                            job.progress = { processed, total };
+                            if (renderQueuePanel) renderQueuePanel();
+                        },
+                        onSaveProgress: (text) => {
+                            job.saveProgress = text;
+                            if (renderQueuePanel) renderQueuePanel();
+                        },
+                        requestSave: (label, saveFile) => waitForQueuePartSave(job, label, saveFile),
+                        onChapterLog: (chapterLog) => {
+                            job.chapterLog = chapterLog;
+                        },
+                    },
+                );
+                job.status = result && ["done", "cancelled"].includes(result.status) ? result.status : "failed";
+            } catch (e) {
+                console.error(`[runDownloadQueue] "${job.title}" failed:`, e);
+                job.status = "failed";
+            }
+            if (renderQueuePanel) renderQueuePanel();
+        }
+    } finally {
+        isDownloadQueueRunning = false;
+    }
+}
+
+/**
+ * Holds a running job until the user saves its next output part from the queue panel. Browsers only
+ * allow one download without a click, so the parts after the first each need one, as does a first part
+ * saved together with its reports; the queue waits meanwhile. Cancelling the job gives up on the remaining parts.
+ * @param {QueueJob} job - The running job.
+ * @param {string} label - The save button label.
+ * @param {function(): void} saveFile - Hands the part's files to the browser; must run inside the click.
+ * @returns {Promise<boolean>} True once saved, false if the job was cancelled.
+ */
+function waitForQueuePartSave(job, label, saveFile) {
+    return new Promise((resolve) => {
+        const finish = (isSaved) => {
+            job.pendingSave = null;
+            job.abortController.signal.removeEventListener("abort", onAbort);
+            if (renderQueuePanel) renderQueuePanel();
+            resolve(isSaved);
+        };
+        const onAbort = () => finish(false);
+        if (job.abortController.signal.aborted) {
+            resolve(false);
+            return;
+        }
+        job.abortController.signal.addEventListener("abort", onAbort);
+        job.pendingSave = {
+            label,
+            save: () => {
+                saveFile();
+                finish(true);
+            },
+        };
+        showNotification("Part Ready", `"${job.title}": click "${label}" in the download queue to continue.`);
+        showQueuePanel();
+    });
+}
+
+/**
+ * Shows the per-chapter log of a queued job in a dialog, with the same filter, copy and export
+ * controls as the progress modal. The log keeps updating while the job runs.
+ * @param {QueueJob} job - A job that has started.
+ */
+function showQueueJobLog(job) {
+    const dialog = document.createElement("div");
+    Object.assign(dialog.style, {
+        position: "fixed",
+        zIndex: "9995",
+        left: "0",
+        top: "0",
+        width: "100%",
+        height: "100%",
+        backgroundColor: "rgba(0,0,0,0.5)",
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+        fontFamily:
+            '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif',
+    });
+
+    const dialogContent = document.createElement("div");
+    Object.assign(dialogContent.style, {
+        backgroundColor: "#fff",
+        borderRadius: "12px",
+        boxShadow: "0 4px 24px rgba(0,0,0,0.15)",
+        width: "500px",
+        maxWidth: "90%",
+        padding: "24px",
+    });
+
+    const dialogTitle = document.createElement("h3");
+    dialogTitle.textContent = `Chapter Log: ${job.title}${job.options.volume ? ` Vol. ${job.options.volume}` : ""}`;
+    Object.assign(dialogTitle.style, {
+        margin: "0",
+        color: "#172238",
+        fontSize: "18px",
+        fontWeight: "600",
+    });
+    dialogContent.appendChild(dialogTitle);
+    // The queue never attaches the job's progress modal, so its log panel can be shown here
+    dialogContent.appendChild(job.chapterLog.element);
+
+    const closeButton = document.createElement("button");
+    closeButton.textContent = "Close";
+    Object.assign(closeButton.style, {
+        width: "100%",
+        padding: "10px",
+        border: "1px solid #e4e9f0",
+        borderRadius: "8px",
+        backgroundColor: "#f9f9fb",
+        cursor: "pointer",
+        fontSize: "14px",
+        fontWeight: "500",
+        marginTop: "16px",
+    });
+    closeButton.onclick = () => document.body.removeChild(dialog);
+    dialogContent.appendChild(closeButton);
+
+    dialog.appendChild(dialogContent);
+    document.body.appendChild(dialog);
+}
+
+/**
+ * Moves a waiting job up or down the queue, past other jobs that have not started.
+ * @param {string} jobId - The job ID.
+ * @param {number} offset - -1 to move up, 1 to move down.
+ */
+function moveQueueJob(jobId, offset) {
+    const index = downloadQueue.findIndex((job) => job.id === jobId);
+    const isWaiting = (job) => job && ["pending", "held"].includes(job.status);
+    let target = index + offset;
+    while (target >= 0 && target < downloadQueue.length && !isWaiting(downloadQueue[target])) {
+        target += offset;
+    }
+    if (index === -1 || !isWaiting(downloadQueue[index]) || !isWaiting(downloadQueue[target])) {
+        return;
+    }
+    [downloadQueue[index], downloadQueue[target]] = [downloadQueue[target], downloadQueue[index]];
+    if (renderQueuePanel) renderQueuePanel();
+}
+
+/**
+ * Pauses a job: a running job stops fetching (and holds up the queue), a waiting job is put on hold
+ * so later jobs run first.
+ * @param {QueueJob} job - The job.
+ */
+function pauseQueueJob(job) {
+    if (job.status === "running") {
+        job.pauseController.pause();
+    } else if (job.status === "pending") {
+        job.status = "held";
+    }
+    if (renderQueuePanel) renderQueuePanel();
+}
+
+/**
+ * Resumes a paused running job, or releases a job that was on hold.
+ * @param {QueueJob} job - The job.
+ */
+function resumeQueueJob(job) {
+    if (job.status === "running") {
+        job.pauseController.resume();
+    } else if (job.status === "held") {
+        job.status = "pending";
+        runDownloadQueue();
+    }
+    if (renderQueuePanel) renderQueuePanel();
+}
+
+/**
+ * Cancels a job. A running job keeps its downloaded chapters for resuming, like a cancelled download.
+ * @param {QueueJob} job - The job.
+ */
+function cancelQueueJob(job) {
+    if (job.status === "running") {
+        job.abortController.abort();
+        job.pauseController.resume();
+    } else if (["pending", "held"].includes(job.status)) {
+        job.status = "cancelled";
+    }
+    if (renderQueuePanel) renderQueuePanel();
+}
+
+/**
+ * Shows the download queue panel, or brings it up to date if it is already open.
+ */
+function showQueuePanel() {
+    if (renderQueuePanel) {
+        renderQueuePanel();
+        return;
+    }
+
+    const panel = document.createElement("div");
+    Object.assign(panel.style, {
+        position: "fixed",
+        left: "20px",
+        bottom: "20px",
+        zIndex: "9990",
+        width: "340px",
+        maxWidth: "calc(100% - 40px)",
+        maxHeight: "60vh",
+        display: "flex",
+        flexDirection: "column",
+        backgroundColor: "#fff",
+        borderRadius: "12px",
+        boxShadow: "0 4px 24px rgba(0,0,0,0.15)",
+        fontFamily:
+            '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif',
+        fontSize: "13px",
+        color: "#172238",
+    });
+
+    const header = document.createElement("div");
+    Object.assign(header.style, {
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "space-between",
+        padding: "12px 16px",
+        borderBottom: "1px solid #e4e9f0",
+        fontWeight: "600",
+        fontSize: "15px",
+    });
+    header.textContent = "Download Queue";
+    const closeButton = document.createElement("button");
+    closeButton.textContent = "×";
+    closeButton.title = "Hide (downloads continue)";
+    Object.assign(closeButton.style, {
+        border: "none",
+        background: "none",
+        fontSize: "20px",
+        cursor: "pointer",
+        color: "#666",
+    });
+    closeButton.onclick = () => {
+        document.body.removeChild(panel);
+        renderQueuePanel = null;
+    };
+    header.appendChild(closeButton);
+    panel.appendChild(header);
+
+    const jobList = document.createElement("div");
+    Object.assign(jobList.style, {
+        overflowY: "auto",
+        padding: "8px 16px",
+    });
+    panel.appendChild(jobList);
+
+    const footer = document.createElement("div");
+    Object.assign(footer.style, {
+        padding: "8px 16px 12px",
+        borderTop: "1px solid #e4e9f0",
+    });
+    const clearButton = document.createElement("button");
+    clearButton.textContent = "Clear Finished";
+    Object.assign(clearButton.style, {
+        width: "100%",
+        padding: "8px",
+        border: "1px solid #e4e9f0",
+        borderRadius: "8px",
+        backgroundColor: "#f9f9fb",
+        cursor: "pointer",
+        fontSize: "13px",
+    });
+    clearButton.onclick = () => {
+        for (let i = downloadQueue.length - 1; i >= 0; i--) {
+            if (["done", "cancelled", "failed"].includes(downloadQueue[i].status)) {
+                downloadQueue.splice(i, 1);
+            }
+        }
+        renderQueuePanel();
+    };
+    footer.appendChild(clearButton);
+    panel.appendChild(footer);
+
+    const createJobButton = (text, title, onClick) => {
+        const button = document.createElement("button");
+        button.textContent = text;
+        button.title = title;
+        Object.assign(button.style, {
+            padding: "4px 8px",
+            border: "1px solid #e4e9f0",
+            borderRadius: "6px",
+            backgroundColor: "#fff",
+            cursor: "pointer",
+            fontSize: "12px",
+        });
+        button.onclick = onClick;
+        return button;
+    };
+
+    renderQueuePanel = () => {
+        jobList.innerHTML = "";
+        if (downloadQueue.length === 0) {
+            const empty = document.createElement("div");
+            empty.textContent = "No queued downloads.";
+            Object.assign(empty.style, {
+                color: "#666",
+                padding: "12px 0",
+                textAlign: "center",
+            });
+            jobList.appendChild(empty);
+            return;
+        }
+
+        for (const job of downloadQueue) {
+            const item = document.createElement("div");
+            Object.assign(item.style, {
+                padding: "10px 0",
+                borderBottom: "1px solid #f0f2f8",
+            });
+
+            const jobTitle = document.createElement("div");
+            jobTitle.textContent = `${job.title}${job.options.volume ? ` Vol. ${job.options.volume}` : ""}`;
+            Object.assign(jobTitle.style, {
+                fontWeight: "600",
+                overflow: "hidden",
+                whiteSpace: "nowrap",
+                textOverflow: "ellipsis",
+            });
+            item.appendChild(jobTitle);
+
+            const isPaused = job.status === "running" && job.pauseController.isPaused();
+            const jobInfo = document.createElement("div");
+            const isSaving = job.status === "running" && job.saveProgress;
+            let statusText = isSaving ? job.saveProgress : QUEUE_JOB_STATUSES[job.status];
+            if (job.pendingSave) {
+                statusText = `Waiting for you to click "${job.pendingSave.label}"`;
+            } else if (isPaused) {
+                statusText = "Paused";
+            }
+            jobInfo.textContent = [
+                statusText,
+                `${job.progress.processed}/${job.progress.total} chapters`,
+                job.saveMode.toUpperCase(),
+            ].join(" · ");
+            Object.assign(jobInfo.style, {
+                color: job.status === "failed" ? "#e74c3c" : "#666",
+                margin: "2px 0 6px",
+            });
+            item.appendChild(jobInfo);
+
+            const progressTrack = document.createElement("div");
+            Object.assign(progressTrack.style, {
+                height: "4px",
+                backgroundColor: "#f0f2f8",
+                borderRadius: "2px",
+                overflow: "hidden",
+                marginBottom: "6px",
+            });
+            const progressFill = document.createElement("div");
+            Object.assign(progressFill.style, {
+                height: "100%",
+                width: `${job.progress.total > 0 ? (job.progress.processed / job.progress.total) * 100 : 0}%`,
+                backgroundColor: job.status === "done" ? "#4CAF50" : "#3a7bd5",
+            });
+            progressTrack.appendChild(progressFill);
+            item.appendChild(progressTrack);
+
+            const buttons = document.createElement("div");
+            Object.assign(buttons.style, {
+                display: "flex",
+                gap: "6px",
+            });
+            if (job.pendingSave) {
+                buttons.appendChild(createJobButton(job.pendingSave.label, "Save this part of the output", job.pendingSave.save));
+            }
+            if (["pending", "held"].includes(job.status)) {
+                buttons.appendChild(createJobButton("↑", "Move up", () => moveQueueJob(job.id, -1)));
+                buttons.appendChild(createJobButton("↓", "Move down", () => moveQueueJob(job.id, 1)));
+            }
+            if (job.status === "pending" || (job.status === "running" && !isPaused && !job.pendingSave)) {
+                buttons.appendChild(createJobButton("Pause", job.status === "pending" ? "Hold this job; later jobs run first" : "Pause this download", () => pauseQueueJob(job)));
+            } else if (job.status === "held" || isPaused) {
+                buttons.appendChild(createJobButton("Resume", "Resume this job", () => resumeQueueJob(job)));
+            }
+            if (job.chapterLog) {
+                buttons.appendChild(createJobButton("Log", "Show the per-chapter log", () => showQueueJobLog(job)));
+            }
+            if (["pending", "held", "running"].includes(job.status)) {
+                buttons.appendChild(createJobButton("Cancel", "Cancel this job", () => {
+                    showConfirmationModal("Cancel Download", `Cancel the download of "${job.title}"?`, () => cancelQueueJob(job));
+                }));
+            }
+            item.appendChild(buttons);
+            jobList.appendChild(item);
+        }
+    };
+
+    document.body.appendChild(panel);
+    renderQueuePanel();
+}
+
+
+
+// Part 17: Large Output
+
+/** Default size limit of one output file in megabytes; bigger downloads are split into parts. */
+const DEFAULT_SPLIT_SIZE_MB = 200;
+/** Directory in the origin private file system that holds generated files until the browser has saved them. */
+const OUTPUT_SINK_DIRECTORY = "novel-dl-output";
+/**
+ * Generated files this tab does not know about (left by other tabs or earlier page loads) are removed once
+ * they are this old. Another tab may still be waiting for the user to save one, so this is generous.
+ */
+const OUTPUT_SINK_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+/** How long a saved file is kept before it is removed, so the browser can finish copying it into the download. */
+const OUTPUT_SINK_RELEASE_DELAY_MS = 10 * 60 * 1000;
+
+/** The generated files of this tab by name: when they were saved, or null while they wait to be saved. */
+const outputSinkFiles = new Map();
+/** The generated file behind each Blob returned by an output sink, by Blob. */
+const outputSinkBlobNames = new WeakMap();
+
+/**
+ * Estimates how many bytes a chapter adds to the output: its text plus its illustrations.
+ * @param {object} chapter - A full chapter, or a stored chapter summary (see toStoredChapterSummary).
+ * @returns {number} The size in bytes.
+ */
+function getChapterOutputSize(chapter) {
+    if (chapter.size !== undefined) {
+        return chapter.size;
+    }
+    const imageBytes = (chapter.images || []).reduce((sum, image) => sum + (image.size ?? image.data?.byteLength ?? 0), 0);
+    return new Blob([chapter.content || ""]).size + imageBytes;
+}
+
+/**
+ * Splits items into consecutive parts of at most `maxItems` items and `maxBytes` bytes.
+ * An item bigger than `maxBytes` gets a part of its own. There is always at least one (possibly empty) part.
+ * @param {Array<*>} items - The items, in output order.
+ * @param {function(*): number} getSize - Returns the size of an item in bytes.
+ * @param {number} maxItems - Maximum items per part; 0 for no limit.
+ * @param {number} maxBytes - Maximum bytes per part; 0 for no limit.
+ * @returns {Array<Array<*>>} The parts.
+ */
+function splitIntoOutputParts(items, getSize, maxItems, maxBytes) {
+    const parts = [];
+    let current = [];
+    let currentBytes = 0;
+    for (const item of items) {
+        const size = getSize(item);
+        const isFull = current.length > 0 && (
+            (maxItems > 0 && current.length >= maxItems) ||
+            (maxBytes > 0 && currentBytes + size > maxBytes)
+        );
+        if (isFull) {
+            parts.push(current);
+            current = [];
+            currentBytes = 0;
+        }
+        current.push(item);
+        currentBytes += size;
+    }
+    if (current.length > 0 || parts.length === 0) {
+        parts.push(current);
+    }
+    return parts;
+}
+
+/**
+ * Marks a generated file as saved (or given up), so a later cleanup may remove it. Files that still
+ * wait for the user's click are never removed by this tab.
+ * @param {Blob} blob - A Blob returned by an output sink; other Blobs are ignored.
+ */
+function releaseOutputFile(blob) {
+    const name = outputSinkBlobNames.get(blob);
+    if (name && outputSinkFiles.has(name)) {
+        outputSinkFiles.set(name, Date.now());
+    }
+}
+
+/**
+ * Removes generated files nobody needs any more: this tab's files some time after they were saved,
+ * and files of other tabs or earlier page loads once they are very old.
+ * @param {FileSystemDirectoryHandle} directory - The output directory.
+ * @returns {Promise<void>}
+ */
+async function removeStaleOutputFiles(directory) {
+    for await (const name of directory.keys()) {
+        const savedAt = outputSinkFiles.get(name);
+        let isStale;
+        if (savedAt === null) {
+            isStale = false; // Still waiting to be saved
+        } else if (savedAt !== undefined) {
+            isStale = Date.now() - savedAt >= OUTPUT_SINK_RELEASE_DELAY_MS;
+        } else {
+            isStale = !(Date.now() - Number.parseInt(name, 10) < OUTPUT_SINK_MAX_AGE_MS);
+        }
+        if (isStale) {
+            await directory.removeEntry(name).then(() => {
+                outputSinkFiles.delete(name);
+            }).catch((e) => {
+                console.warn(`[removeStaleOutputFiles] Could not remove ${name}:`, e);
+            });
+        }
+    }
+}
+
+/**
+ * Creates a destination that a generated file is written to piece by piece.
+ * Where the origin private file system is available the pieces go straight to disk, so even a
+ * very large file never has to exist in memory as a whole; otherwise they are collected into a Blob.
+ * @param {string} mimeType - The media type of the finished file.
+ * @returns {Promise<{write: function((string|BufferSource|Blob)): Promise<void>, close: function(): Promise<Blob>}>}
+ * The sink. `close` finishes the file and returns it; pass the Blob to releaseOutputFile once it is saved.
+ */
+async function createOutputSink(mimeType) {
+    try {
+        if (navigator.storage && navigator.storage.getDirectory) {
+            const root = await navigator.storage.getDirectory();
+            const directory = await root.getDirectoryHandle(OUTPUT_SINK_DIRECTORY, { create: true });
+            await removeStaleOutputFiles(directory);
+            const name = `${Date.now()}-${generateUuid()}`;
+            const handle = await directory.getFileHandle(name, { create: true });
+            outputSinkFiles.set(name, null);
+            const writable = await handle.createWritable();
+            return {
+                write: (data) => writable.write(data),
+                close: async () => {
+                    await writable.close();
+                    // A Blob made from the File still reads from disk
+                    const blob = new Blob([await handle.getFile()], { type: mimeType });
+                    outputSinkBlobNames.set(blob, name);
+                    return blob;
+                },
+            };
+        }
+    } catch (e) {
+        console.warn("[createOutputSink] Private file system unavailable, building the file in memory:", e);
+    }
+
+    // Wrapping each piece in a Blob lets the browser move it out of the JavaScript heap
+    const pieces = [];
+    return {
+        write: async (data) => {
+            pieces.push(new Blob([data]));
+        },
+        close: async () => new Blob(pieces, { type: mimeType }),
+    };
+}
+
+
+
+// Part 18: ZIP Archives
+
+// ZIP and EPUB files are written by the small ZIP implementation below, so saving works offline and on
+// pages whose Content Security Policy blocks the CDN. JSZip from the CDN is only used to read archives the
+// built-in reader cannot handle (e.g. compressed entries in browsers without DecompressionStream).
+
+/** CRC-32 lookup table (polynomial 0xEDB88320). */
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+/** Largest size or offset a ZIP without ZIP64 extensions can hold. */
+const ZIP_MAX_SIZE = 0xFFFFFFFF;
+/** Largest number of entries a ZIP without ZIP64 extensions can hold. */
+const ZIP_MAX_ENTRIES = 0xFFFF;
+/** General purpose flag: file names are UTF-8. */
+const ZIP_FLAG_UTF8 = 0x0800;
+/** Compression methods understood by the built-in reader and writer. */
+const ZIP_METHOD_STORE = 0;
+const ZIP_METHOD_DEFLATE = 8;
+
+/**
+ * Computes the CRC-32 checksum of some bytes.
+ * @param {Uint8Array} bytes - The data.
+ * @returns {number} The checksum as an unsigned 32-bit integer.
+ */
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Converts entry data to bytes.
+ * @param {string|ArrayBuffer|Uint8Array} data - Text is encoded as UTF-8.
+ * @returns {Uint8Array} The bytes.
+ */
+function toZipBytes(data) {
+    if (typeof data === "string") {
+        return new TextEncoder().encode(data);
+    }
+    return data instanceof Uint8Array ? data : new Uint8Array(data);
+}
+
+/**
+ * Runs bytes through a CompressionStream or DecompressionStream.
+ * @param {Uint8Array} bytes - The input.
+ * @param {TransformStream} transform - The (de)compression stream.
+ * @returns {Promise<Uint8Array>} The output.
+ */
+async function transformZipBytes(bytes, transform) {
+    const input = new ReadableStream({
+        start(controller) {
+            controller.enqueue(bytes);
+            controller.close();
+        },
+    });
+    const reader = input.pipeThrough(transform).getReader();
+    const chunks = [];
+    let length = 0;
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) {
+            break;
+        }
+        chunks.push(value);
+        length += value.length;
+    }
+    const output = new Uint8Array(length);
+    let offset = 0;
+    for (const chunk of chunks) {
+        output.set(chunk, offset);
+        offset += chunk.length;
+    }
+    return output;
+}
+
+/**
+ * Checks whether the browser can deflate ZIP entries itself.
+ * @returns {boolean} True if CompressionStream supports raw deflate.
+ */
+function canDeflateZipEntries() {
+    try {
+        return typeof CompressionStream !== "undefined" && Boolean(new CompressionStream("deflate-raw"));
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Creates an empty ZIP archive to add files to. Its `file` method matches the JSZip calls the
+ * builders use, so the same code fills it; it is written out with writeZipToSink.
+ * @returns {{file: function(string, (string|ArrayBuffer|Uint8Array), {compression: string}=): object, entries: Map<string, {data: *, compression: (string|undefined)}>}}
+ * The archive.
+ */
+function createZipArchive() {
+    const archive = {
+        entries: new Map(), // Name -> entry, in the order files were added
+        file: (name, data, options = {}) => {
+            archive.entries.set(name, { data, compression: options.compression });
+            return archive;
+        },
+    };
+    return archive;
+}
+
+/**
+ * Writes a ZIP archive into an output sink one entry at a time. Entries are deflated with
+ * CompressionStream where available and stored otherwise; an entry is also stored when
+ * deflating would not make it smaller. Sizes are known before each local header is written,
+ * so no data descriptors are needed (EPUB readers expect none on the mimetype entry).
+ * @param {object} zip - The archive (see createZipArchive).
+ * @param {object} sink - The destination (see createOutputSink).
+ * @param {{compression: string}} [generateOptions] - "DEFLATE" (default) or "STORE" for entries without their own setting.
+ * @param {function(number): void} [onProgress] - Receives the progress in percent.
+ * @returns {Promise<void>}
+ */
+async function writeZipToSink(zip, sink, generateOptions = {}, onProgress) {
+    if (zip.entries.size > ZIP_MAX_ENTRIES) {
+        throw new Error(`Too many files for one ZIP (${zip.entries.size}). Split the download into smaller parts.`);
+    }
+    const canDeflate = canDeflateZipEntries();
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+    const dosDate = ((Math.max(now.getFullYear(), 1980) - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+    const encoder = new TextEncoder();
+    const centralRecords = [];
+    let offset = 0;
+    let written = 0;
+
+    for (const [name, entry] of zip.entries) {
+        const nameBytes = encoder.encode(name);
+        const bytes = toZipBytes(entry.data);
+        const checksum = crc32(bytes);
+        let method = ZIP_METHOD_STORE;
+        let stored = bytes;
+        if ((entry.compression || generateOptions.compression || "DEFLATE") === "DEFLATE" && canDeflate && bytes.length > 0) {
+            const deflated = await transformZipBytes(bytes, new CompressionStream("deflate-raw"));
+            if (deflated.length < bytes.length) {
+                method = ZIP_METHOD_DEFLATE;
+                stored = deflated;
+            }
+        }
+        if (offset + 30 + nameBytes.length + stored.length > ZIP_MAX_SIZE) {
+            throw new Error("The ZIP would be larger than 4 GB. Split the download into smaller parts.");
+        }
+
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034B50, true); // Local file header signature
+        header.setUint16(4, 20, true); // Version needed to extract
+        header.setUint16(6, ZIP_FLAG_UTF8, true);
+        header.setUint16(8, method, true);
+        header.setUint16(10, dosTime, true);
+        header.setUint16(12, dosDate, true);
+        header.setUint32(14, checksum, true);
+        header.setUint32(18, stored.length, true);
+        header.setUint32(22, bytes.length, true);
+        header.setUint16(26, nameBytes.length, true);
+        header.setUint16(28, 0, true); // Extra field length
+        await sink.write(new Uint8Array(header.buffer));
+        await sink.write(nameBytes);
+        await sink.write(stored);
+
+        centralRecords.push({ nameBytes, method, checksum, compressedSize: stored.length, size: bytes.length, offset });
+        offset += 30 + nameBytes.length + stored.length;
+        written++;
+        if (onProgress) onProgress((written / zip.entries.size) * 100);
+    }
+
+    const centralDirectoryOffset = offset;
+    for (const record of centralRecords) {
+        const header = new DataView(new ArrayBuffer(46));
+        header.setUint32(0, 0x02014B50, true); // Central directory header signature
+        header.setUint16(4, 20, true); // Version made by
+        header.setUint16(6, 20, true); // Version needed to extract
+        header.setUint16(8, ZIP_FLAG_UTF8, true);
+        header.setUint16(10, record.method, true);
+        header.setUint16(12, dosTime, true);
+        header.setUint16(14, dosDate, true);
+        header.setUint32(16, record.checksum, true);
+        header.setUint32(20, record.compressedSize, true);
+        header.setUint32(24, record.size, true);
+        header.setUint16(28, record.nameBytes.length, true);
+        // Extra field, comment, disk number, internal and external attributes are all zero
+        header.setUint32(42, record.offset, true);
+        await sink.write(new Uint8Array(header.buffer));
+        await sink.write(record.nameBytes);
+        offset += 46 + record.nameBytes.length;
+    }
+
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true); // End of central directory signature
+    end.setUint16(8, centralRecords.length, true); // Entries on this disk
+    end.setUint16(10, centralRecords.length, true); // Entries in total
+    end.setUint32(12, offset - centralDirectoryOffset, true);
+    end.setUint32(16, centralDirectoryOffset, true);
+    await sink.write(new Uint8Array(end.buffer));
+    if (onProgress) onProgress(100);
+}
+
+/**
+ * Reads the table of contents of a ZIP file. The returned archive offers the JSZip calls
+ * loadOriginalDownload uses: `file(name)` for one entry, `file(regex)` for all matching entries,
+ * and `entry.async("string" | "arraybuffer")` to extract one.
+ * @param {Blob} blob - The ZIP file.
+ * @returns {Promise<{file: function((string|RegExp)): *}>} The archive.
+ * @throws {Error} If the file is not a ZIP, or uses features the built-in reader does not support
+ * (ZIP64, encryption, or compression the browser cannot undo).
+ */
+async function readZipArchive(blob) {
+    // The end of central directory record is in the last 22 bytes, plus a comment of up to 64 KB
+    const tailStart = Math.max(0, blob.size - (22 + 0xFFFF));
+    const tail = new DataView(await blob.slice(tailStart).arrayBuffer());
+    let endOffset = -1;
+    for (let i = tail.byteLength - 22; i >= 0; i--) {
+        if (tail.getUint32(i, true) === 0x06054B50) {
+            endOffset = i;
+            break;
+        }
+    }
+    if (endOffset < 0) {
+        throw new Error("Not a ZIP file");
+    }
+    const entryCount = tail.getUint16(endOffset + 10, true);
+    const directorySize = tail.getUint32(endOffset + 12, true);
+    const directoryOffset = tail.getUint32(endOffset + 16, true);
+    if (entryCount === 0xFFFF || directoryOffset === ZIP_MAX_SIZE) {
+        throw new Error("ZIP64 archives are not supported");
+    }
+
+    const directory = new DataView(await blob.slice(directoryOffset, directoryOffset + directorySize).arrayBuffer());
+    const canInflate = typeof DecompressionStream !== "undefined";
+    const utf8 = new TextDecoder("utf-8");
+    const entries = [];
+    let position = 0;
+    for (let i = 0; i < entryCount; i++) {
+        if (directory.getUint32(position, true) !== 0x02014B50) {
+            throw new Error("Corrupt ZIP central directory");
+        }
+        const flags = directory.getUint16(position + 8, true);
+        const method = directory.getUint16(position + 10, true);
+        const compressedSize = directory.getUint32(position + 20, true);
+        const size = directory.getUint32(position + 24, true);
+        const nameLength = directory.getUint16(position + 28, true);
+        const extraLength = directory.getUint16(position + 30, true);
+        const commentLength = directory.getUint16(position + 32, true);
+        const localHeaderOffset = directory.getUint32(position + 42, true);
+        const name = utf8.decode(new Uint8Array(directory.buffer, directory.byteOffset + position + 46, nameLength));
+        position += 46 + nameLength + extraLength + commentLength;
+
+        if (flags & 0x0001) {
+            throw new Error(`Encrypted ZIP entries are not supported: ${name}`);
+        }
+        if (compressedSize === ZIP_MAX_SIZE || size === ZIP_MAX_SIZE) {
+            throw new Error("ZIP64 archives are not supported");
+        }
+        if (method !== ZIP_METHOD_STORE && !(method === ZIP_METHOD_DEFLATE && canInflate)) {
+            throw new Error(`Unsupported ZIP compression method ${method}: ${name}`);
+        }
+
+        entries.push({
+            name,
+            dir: name.endsWith("/"),
+            async: async (type) => {
+                // The local header repeats the name and may carry a different extra field
+                const local = new DataView(await blob.slice(localHeaderOffset, localHeaderOffset + 30).arrayBuffer());
+                const dataStart = localHeaderOffset + 30 + local.getUint16(26, true) + local.getUint16(28, true);
+                let bytes = new Uint8Array(await blob.slice(dataStart, dataStart + compressedSize).arrayBuffer());
+                if (method === ZIP_METHOD_DEFLATE) {
+                    bytes = await transformZipBytes(bytes, new DecompressionStream("deflate-raw"));
+                }
+                if (type === "string") {
+                    return utf8.decode(bytes);
+                }
+                return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+            },
+        });
+    }
+
+    return {
+        file: (nameOrPattern) => {
+            if (typeof nameOrPattern === "string") {
+                return entries.find((entry) => entry.name === nameOrPattern) || null;
+            }
+            return entries.filter((entry) => !entry.dir && nameOrPattern.test(entry.name));
+        },
+    };
+}
+
+/**
+ * Opens a ZIP file with the built-in reader, falling back to JSZip from the CDN for archives it cannot read.
+ * @param {Blob} blob - The ZIP file.
+ * @returns {Promise<object>} An archive offering `file(name)`, `file(regex)` and `entry.async(type)`.
+ */
+async function loadZipArchive(blob) {
+    try {
+        return await readZipArchive(blob);
+    } catch (e) {
+        console.warn("[loadZipArchive] Built-in reader failed, trying JSZip:", e);
+        const JSZip = await loadJSZip();
+        return JSZip.loadAsync(blob);
+    }
+}